@@ -0,0 +1,133 @@
+// API keys for the management API. A key is a random token shown once when it is created; api_keys
+// stores only its sha256 hash, a display prefix and its scopes. Scopes are ranked: admin includes
+// sync, sync includes read.
+import { createHash, randomBytes } from 'crypto';
+
+export const API_SCOPES = ['read', 'sync', 'admin'];
+
+const KEY_PREFIX = 'qcb_';
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+export function generateApiKey() {
+  return `${KEY_PREFIX}${randomBytes(24).toString('base64url')}`;
+}
+
+// True when the granted scopes cover the required one (null: public route)
+export function hasScope(granted = [], required) {
+  if (!required) return true;
+  const rank = API_SCOPES.indexOf(required);
+  return granted.some(scope => API_SCOPES.indexOf(scope) >= rank);
+}
+
+// The key sent with a request: "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export function requestApiKey(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : (req.headers['x-api-key'] || null);
+}
+
+export class ApiKeyStore {
+  // cacheTtlMs: how long a verified key is trusted without reading api_keys again, so a revoked
+  // key may keep working on other instances for up to that long
+  constructor(logger, supabase, { cacheTtlMs = 60000 } = {}) {
+    this.logger = logger;
+    this.supabase = supabase;
+    this.cacheTtlMs = cacheTtlMs;
+    this.cache = new Map();
+  }
+
+  // The api_keys row of a valid key, or null when it is unknown, revoked or expired
+  async verify(key) {
+    if (!key) return null;
+    const keyHash = hashApiKey(key);
+    const cached = this.cache.get(keyHash);
+    if (cached && cached.expiresAt > Date.now()) return this.usable(cached.record);
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('id, name, key_prefix, scopes, expires_at, revoked_at')
+      .eq('key_hash', keyHash)
+      .maybeSingle();
+    if (error) throw error;
+
+    // Unknown keys are not cached: anyone can send those, and each would stay in the Map.
+    // Known ones are bounded by the size of api_keys.
+    if (!data) return null;
+    this.cache.set(keyHash, { record: data, expiresAt: Date.now() + this.cacheTtlMs });
+    this.touch(data.id);
+    return this.usable(data);
+  }
+
+  usable(record) {
+    if (!record || record.revoked_at) return null;
+    if (record.expires_at && new Date(record.expires_at).getTime() <= Date.now()) return null;
+    return record;
+  }
+
+  // last_used_at is informational; it is updated at most once per cache period and never fails a request
+  async touch(id) {
+    try {
+      const { error } = await this.supabase
+        .from('api_keys')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', id);
+      if (error) throw error;
+    } catch (error) {
+      this.logger.debug('Could not update api key last_used_at', { key_id: id, error: error.message });
+    }
+  }
+
+  // Create a key; returns { key, record }. The plain key is not stored anywhere.
+  async createKey({ name, scopes = ['read'], expiresAt = null, createdBy = null }) {
+    if (!name) throw new Error('name is required');
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_SCOPES.includes(scope))) {
+      throw new Error(`scopes must be a non-empty list of: ${API_SCOPES.join(', ')}`);
+    }
+
+    const key = generateApiKey();
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert({
+        name,
+        key_prefix: key.substring(0, KEY_PREFIX.length + 6),
+        key_hash: hashApiKey(key),
+        scopes: [...new Set(scopes)],
+        expires_at: expiresAt,
+        created_by: createdBy
+      })
+      .select('id, name, key_prefix, scopes, expires_at, created_by, created_at')
+      .single();
+    if (error) throw error;
+
+    this.logger.info('API key created', { key_id: data.id, name, scopes: data.scopes, created_by: createdBy });
+    return { key, record: data };
+  }
+
+  async listKeys() {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select('id, name, key_prefix, scopes, expires_at, revoked_at, last_used_at, created_by, created_at')
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data || [];
+  }
+
+  async revokeKey(id) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select('id, name, key_prefix, scopes, revoked_at')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new Error(`API key ${id} not found or already revoked`);
+
+    // Only this instance's cache is cleared; other instances notice within cacheTtlMs
+    this.cache.clear();
+    this.logger.info('API key revoked', { key_id: id, name: data.name });
+    return data;
+  }
+}
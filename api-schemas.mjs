@@ -0,0 +1,99 @@
+// Request schemas for the management API routes (the subset http-router.mjs validates).
+// They check shape and types only; venture, status and priority values are still resolved
+// by TaskApi and ProjectApi against the reference data.
+import { API_SCOPES } from './api-keys.mjs';
+import { FAILURE_STATUSES } from './sync-failures.mjs';
+
+const text = { type: 'string', minLength: 1 };
+const optionalText = { type: ['string', 'null'] };
+const date = { type: ['string', 'null'], format: 'date' };
+const uuid = { type: 'string', format: 'uuid' };
+const flag = { type: 'string', enum: ['true', 'false'] };
+const count = { type: 'string', pattern: '^\\d+$' };
+
+const TASK_PROPERTIES = {
+  title: text,
+  venture: text,
+  domain: optionalText,
+  project: optionalText,
+  milestone: optionalText,
+  priority: text,
+  status: text,
+  due_date: date,
+  assignee: optionalText,
+  focus_slot: optionalText,
+  focus_date: date,
+  tags: { type: ['array', 'null'], items: { type: 'string' } }
+};
+
+const PROJECT_PROPERTIES = {
+  name: text,
+  venture: text,
+  description: optionalText,
+  status: text,
+  priority: text,
+  start_date: date,
+  target_date: date
+};
+
+const MILESTONE_PROPERTIES = {
+  project_id: uuid,
+  name: text,
+  description: optionalText,
+  status: text,
+  priority: text,
+  due_date: date
+};
+
+export const SCHEMAS = {
+  mirrorQuery: { type: 'object', properties: { mirror: flag } },
+
+  taskCreate: { type: 'object', required: ['title', 'venture'], properties: TASK_PROPERTIES, additionalProperties: false },
+  taskUpdate: { type: 'object', properties: TASK_PROPERTIES, additionalProperties: false },
+  taskHistoryQuery: { type: 'object', properties: { limit: count } },
+
+  // venture_slug is the older name for venture on create
+  projectCreate: {
+    type: 'object',
+    required: ['name'],
+    properties: { ...PROJECT_PROPERTIES, venture_slug: text },
+    additionalProperties: false
+  },
+  projectUpdate: { type: 'object', properties: PROJECT_PROPERTIES, additionalProperties: false },
+  projectMove: { type: 'object', required: ['venture'], properties: { venture: text }, additionalProperties: false },
+  archivedQuery: { type: 'object', properties: { include_archived: flag } },
+
+  milestoneCreate: { type: 'object', required: ['project_id', 'name'], properties: MILESTONE_PROPERTIES, additionalProperties: false },
+  milestoneUpdate: { type: 'object', properties: MILESTONE_PROPERTIES, additionalProperties: false },
+
+  ventureCreate: {
+    type: 'object',
+    required: ['slug', 'name', 'domain_slug'],
+    properties: { slug: text, name: text, description: optionalText, domain_slug: text },
+    additionalProperties: false
+  },
+
+  failuresQuery: { type: 'object', properties: { status: { type: 'string', enum: [...FAILURE_STATUSES, 'all'] } } },
+  failuresRetry: { type: 'object', properties: { notion_page_id: text }, additionalProperties: false },
+
+  unknownValuesQuery: { type: 'object', properties: { kind: { type: 'string', enum: ['status', 'priority', 'focus_slot'] } } },
+
+  conflictsQuery: { type: 'object', properties: { status: { type: 'string', enum: ['open', 'resolved', 'all'] } } },
+  conflictResolve: {
+    type: 'object',
+    required: ['resolution'],
+    properties: { resolution: { type: 'string', enum: ['notion', 'supabase'] }, resolved_by: text },
+    additionalProperties: false
+  },
+
+  keyCreate: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: text,
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_SCOPES } },
+      expires_at: { type: ['string', 'null'], format: 'date-time' }
+    },
+    additionalProperties: false
+  }
+};
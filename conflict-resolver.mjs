@@ -0,0 +1,223 @@
+// Conflict detection between Notion edits and Supabase edits of the same task
+//
+// Compares three versions of each two-way field: the snapshot stored at the last sync
+// (integrations_notion.synced_values), the current Notion values and the current tasks row.
+// Only fields that reverse sync can write back to Notion take part.
+export const CONFLICT_FIELDS = {
+  status: 'status',
+  priority: 'priority',
+  focusSlot: 'focus_slot',
+  focusDate: 'focus_date',
+  dueDate: 'due_date'
+};
+
+export const CONFLICT_POLICIES = ['notion-wins', 'supabase-wins', 'newest-wins', 'manual'];
+
+const DATE_FIELDS = ['focusDate', 'dueDate'];
+
+export class ConflictResolver {
+  constructor(logger, supabase, config = {}) {
+    this.logger = logger;
+    this.supabase = supabase;
+    this.policy = config.policy || 'notion-wins';
+
+    if (!CONFLICT_POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown conflict policy "${this.policy}" (expected one of: ${CONFLICT_POLICIES.join(', ')})`);
+    }
+  }
+
+  // Canonical comparison form: empty -> null, dates trimmed to YYYY-MM-DD
+  normalize(field, value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (DATE_FIELDS.includes(field)) return String(value).substring(0, 10);
+    return String(value);
+  }
+
+  // Snapshot of the two-way fields from bridge props (camelCase keys)
+  snapshotFromProps(props) {
+    const snapshot = {};
+    for (const field of Object.keys(CONFLICT_FIELDS)) {
+      snapshot[field] = this.normalize(field, props[field]);
+    }
+    return snapshot;
+  }
+
+  // Snapshot of the two-way fields from a tasks row (snake_case columns)
+  snapshotFromTask(task) {
+    const snapshot = {};
+    for (const [field, column] of Object.entries(CONFLICT_FIELDS)) {
+      snapshot[field] = this.normalize(field, task[column]);
+    }
+    return snapshot;
+  }
+
+  // Decide which side wins for each field.
+  // Returns the values to write, the snapshot to store, whether Notion needs the
+  // Supabase side pushed back, and the conflicts the policy left unresolved.
+  evaluate(base, notionProps, task, { notionEditedAt } = {}) {
+    const notion = this.snapshotFromProps(notionProps);
+    const current = this.snapshotFromTask(task);
+    const values = {};
+    const snapshot = { ...notion };
+    const conflicts = [];
+    const unresolved = [];
+    let pushToNotion = false;
+
+    for (const field of Object.keys(CONFLICT_FIELDS)) {
+      const baseValue = this.normalize(field, base?.[field]);
+      const notionChanged = notion[field] !== baseValue;
+      const supabaseChanged = current[field] !== baseValue;
+
+      if (!supabaseChanged || notion[field] === current[field]) continue;
+
+      if (!notionChanged) {
+        // Only Supabase moved: keep its value instead of overwriting with the stale Notion one
+        values[field] = current[field];
+        snapshot[field] = current[field];
+        pushToNotion = true;
+        continue;
+      }
+
+      const conflict = { field, base: baseValue, notion: notion[field], supabase: current[field] };
+      conflicts.push(conflict);
+
+      const winner = this.pickWinner(notionEditedAt, task.updated_at);
+      if (winner === 'notion') continue;
+
+      values[field] = current[field];
+      if (winner === 'supabase') {
+        snapshot[field] = current[field];
+        pushToNotion = true;
+      } else {
+        // Manual: keep Supabase untouched and the base snapshot so the conflict stays visible
+        snapshot[field] = baseValue;
+        unresolved.push(conflict);
+      }
+    }
+
+    // Never push while a manual conflict is pending; it would overwrite the Notion side
+    if (unresolved.length > 0) pushToNotion = false;
+
+    if (conflicts.length > 0) {
+      this.logger.info('Sync conflicts detected', {
+        task_id: task.id,
+        policy: this.policy,
+        fields: conflicts.map(c => c.field),
+        unresolved: unresolved.length
+      });
+    }
+
+    return { values, snapshot, pushToNotion, conflicts, unresolved };
+  }
+
+  pickWinner(notionEditedAt, taskUpdatedAt) {
+    switch (this.policy) {
+      case 'notion-wins':
+        return 'notion';
+      case 'supabase-wins':
+        return 'supabase';
+      case 'newest-wins': {
+        const notionTime = notionEditedAt ? new Date(notionEditedAt).getTime() : 0;
+        const taskTime = taskUpdatedAt ? new Date(taskUpdatedAt).getTime() : 0;
+        return taskTime > notionTime ? 'supabase' : 'notion';
+      }
+      default:
+        return 'manual';
+    }
+  }
+
+  // Persist unresolved conflicts, refreshing an already open row for the same task/field
+  async recordConflicts(taskId, notionPageId, conflicts) {
+    for (const conflict of conflicts) {
+      const { data: existing, error: lookupError } = await this.supabase
+        .from('sync_conflicts')
+        .select('id')
+        .eq('task_id', taskId)
+        .eq('field', conflict.field)
+        .eq('status', 'open')
+        .maybeSingle();
+
+      if (lookupError) throw lookupError;
+
+      const row = {
+        task_id: taskId,
+        notion_page_id: notionPageId,
+        field: conflict.field,
+        base_value: conflict.base,
+        notion_value: conflict.notion,
+        supabase_value: conflict.supabase,
+        detected_at: new Date().toISOString()
+      };
+
+      const { error } = existing
+        ? await this.supabase.from('sync_conflicts').update(row).eq('id', existing.id)
+        : await this.supabase.from('sync_conflicts').insert({ ...row, status: 'open' });
+
+      if (error) throw error;
+    }
+  }
+
+  async listConflicts(status = 'open') {
+    let query = this.supabase
+      .from('sync_conflicts')
+      .select('*')
+      .order('detected_at', { ascending: false });
+
+    if (status !== 'all') query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Apply a manual decision. The chosen value is written to the task and updated_at is
+  // bumped so the reverse sync pass carries it to the Notion page.
+  async resolveConflict(conflictId, resolution, resolvedBy = 'api') {
+    if (!['notion', 'supabase'].includes(resolution)) {
+      throw new Error('resolution must be "notion" or "supabase"');
+    }
+
+    const { data: conflict, error } = await this.supabase
+      .from('sync_conflicts')
+      .select('*')
+      .eq('id', conflictId)
+      .single();
+
+    if (error) throw error;
+    if (conflict.status !== 'open') {
+      throw new Error(`Conflict ${conflictId} is already ${conflict.status}`);
+    }
+
+    const column = CONFLICT_FIELDS[conflict.field];
+    const update = { updated_at: new Date().toISOString() };
+    if (resolution === 'notion') update[column] = conflict.notion_value;
+
+    const { error: taskError } = await this.supabase
+      .from('tasks')
+      .update(update)
+      .eq('id', conflict.task_id);
+    if (taskError) throw taskError;
+
+    const { data: resolved, error: resolveError } = await this.supabase
+      .from('sync_conflicts')
+      .update({
+        status: 'resolved',
+        resolution,
+        resolved_by: resolvedBy,
+        resolved_at: new Date().toISOString()
+      })
+      .eq('id', conflictId)
+      .select()
+      .single();
+    if (resolveError) throw resolveError;
+
+    this.logger.info('Sync conflict resolved', {
+      conflict_id: conflictId,
+      task_id: conflict.task_id,
+      field: conflict.field,
+      resolution
+    });
+
+    return resolved;
+  }
+}
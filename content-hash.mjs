@@ -0,0 +1,96 @@
+// Versioned content hash of a page's synced fields, stored in integrations_notion.external_hash.
+//
+// v1 (legacy, unprefixed): sha256 of the JSON of the field values, with priority, status and
+//     focus slot normalized by the built-in rules in v1Normalize (not value_aliases).
+// v2: "v2:" + sha256 over per-field hashes, which are stored in integrations_notion.field_hashes
+//     so an update can name the fields that changed.
+//
+// Changing the field set or how values are normalized means a new HASH_VERSION. Stored hashes of
+// an older version are checked with that version's formula: a page that still matches is only
+// rehashed (integrations_notion), not sent through the RPC again.
+import { createHash } from 'crypto';
+
+export const HASH_VERSION = 2;
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// Version of a stored hash (unprefixed hashes predate versioning)
+export function hashVersion(storedHash) {
+  const match = /^v(\d+):/.exec(storedHash || '');
+  return match ? Number(match[1]) : 1;
+}
+
+// Normalization of the v1 hash, frozen as it was before value_aliases: values the rules do not
+// know hash as before (an unknown focus slot is its name without leading symbols, not '').
+// Only used to recognise pages that did not change since their v1 hash was stored.
+const V1_FOCUS_SLOTS = {
+  'morning routine': 'Morning Routine',
+  'deep work block 1': 'Deep Work Block 1',
+  'admin block 1': 'Admin Block 1',
+  'recharge & rest': 'Recharge & Rest',
+  'deep work block 2': 'Deep Work Block 2',
+  'admin block 2': 'Admin Block 2',
+  'shutdown routine': 'Shutdown Routine'
+};
+
+export const v1Normalize = {
+  priority(value) {
+    if (!value) return '';
+    const v = String(value).trim().toLowerCase();
+    if (v.includes('p0') || v.includes('urgent')) return 'P0';
+    if (v.includes('p1') || v.includes('high') || v.includes('🔥')) return 'P1';
+    if (v.includes('p2') || v.includes('medium') || v.includes('🟡')) return 'P2';
+    if (v.includes('p3') || v.includes('low') || v.includes('🟢')) return 'P3';
+    return 'P2';
+  },
+
+  status(value) {
+    if (!value) return '';
+    const v = String(value).trim();
+    const lower = v.toLowerCase();
+    // No u flag, as before: the class matches single UTF-16 code units, so any emoji sharing a
+    // surrogate with these matches too
+    if (/[📝🔄✅⏸️]/.test(v)) {
+      if (v.includes('On Hold')) return 'On Hold';
+      if (v.includes('In Progress')) return 'In Progress';
+      if (v.includes('Done') || v.includes('Complete')) return 'Done';
+      return 'To Do';
+    }
+    if (lower.includes('hold')) return 'On Hold';
+    if (lower.includes('progress')) return 'In Progress';
+    if (lower.includes('done') || lower.includes('complete')) return 'Done';
+    return 'To Do';
+  },
+
+  focus_slot(value) {
+    if (!value) return '';
+    const stripped = String(value).replace(/^[\p{Emoji_Presentation}\p{Extended_Pictographic}\p{Emoji}\s]+/u, '').trim();
+    return V1_FOCUS_SLOTS[stripped.toLowerCase()] || stripped;
+  }
+};
+
+// Short hash per field value, e.g. { title: '3f2a…', status: '9c1d…' }
+export function fieldHashes(values) {
+  const hashes = {};
+  for (const field of Object.keys(values).sort()) {
+    hashes[field] = sha256(JSON.stringify(values[field])).substring(0, 16);
+  }
+  return hashes;
+}
+
+// values: the normalized field values of a page, in the field order of the version's schema
+export function contentHash(values, version = HASH_VERSION) {
+  if (version === 1) return { hash: sha256(JSON.stringify(values)), fieldHashes: null };
+  if (version === 2) {
+    const hashes = fieldHashes(values);
+    return { hash: `v2:${sha256(JSON.stringify(hashes))}`, fieldHashes: hashes };
+  }
+  throw new Error(`Unknown content hash version: ${version}`);
+}
+
+// Fields whose hash differs between two field_hashes objects (null when there is nothing to compare)
+export function changedFields(previous, current) {
+  if (!previous || !current) return null;
+  const fields = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  return [...fields].filter(field => previous[field] !== current[field]).sort();
+}
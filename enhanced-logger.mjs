@@ -13,6 +13,9 @@ export class EnhancedLogger {
       version: config.version || '2.0.0'
     };
     
+    // Optional RateLimiter shared with the bridge, so alerts count against the Notion budget
+    this.rateLimiter = config.rateLimiter || null;
+    
     this.levels = {
       debug: 0,
       info: 1,
@@ -86,6 +89,7 @@ export class EnhancedLogger {
       const { Client } = await import('@notionhq/client');
       const notion = new Client({ auth: this.config.notionToken });
       
+      if (this.rateLimiter) await this.rateLimiter.acquire('notion');
       await notion.pages.create({
         parent: { database_id: this.config.notionAlertsDbId },
         properties: {
@@ -120,6 +124,7 @@ export class EnhancedLogger {
       });
       
     } catch (error) {
+      this.rateLimiter?.throttle('notion', error);
       console.error('Notion alert error:', error.message);
     }
   }
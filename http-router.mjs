@@ -0,0 +1,268 @@
+// Small HTTP router for the management API, on Node built-ins only: routes with :params,
+// koa-style middleware (async (ctx, next) => ...), JSON bodies with a size limit and a JSON
+// Schema subset per route. Every error leaves as { error: { code, message, details } }.
+
+// An error with an HTTP status and a machine-readable code; details is any JSON value
+export class HttpError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const FORMATS = {
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime()),
+  'date-time': (value) => !Number.isNaN(Date.parse(value)),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+// Validate a value against a JSON Schema subset: type (one or a list), enum, properties, required,
+// additionalProperties (false or a schema), items, minItems/maxItems, minLength/maxLength, pattern,
+// format (date, date-time, uuid) and minimum/maximum. Returns [{ path, message }].
+export function validateSchema(schema, value, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+    if (!matches) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `must match ${schema.pattern}` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push({ path, message: `must be a ${schema.format}` });
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (actual === 'object') {
+    const properties = schema.properties || {};
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push({ path: `${path}.${field}`, message: 'is required' });
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (properties[field]) {
+        errors.push(...validateSchema(properties[field], fieldValue, `${path}.${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${field}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, fieldValue, `${path}.${field}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Read and parse a JSON body; an empty body is {}. 413 beyond limit bytes, 415 for a non-JSON
+// Content-Type, 400 for invalid JSON.
+export function readJsonBody(req, { limit }) {
+  const contentType = req.headers['content-type'];
+  if (contentType && !/^application\/(.+\+)?json\b/i.test(contentType)) {
+    return Promise.reject(new HttpError(415, 'unsupported_media_type', 'Request body must be application/json'));
+  }
+  if (Number(req.headers['content-length']) > limit) {
+    return Promise.reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${limit} bytes`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    // Past the limit the rest is read and dropped, so the 413 response can still be sent
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) return;
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text.trim() ? JSON.parse(text) : {});
+      } catch (parseError) {
+        reject(new HttpError(400, 'invalid_json', 'Request body is not valid JSON', { reason: parseError.message }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Malformed percent-encoding is passed through as is rather than failing the request
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+// "/api/tasks/:id/history" → { regex, keys: ['id'] }
+function compilePath(path) {
+  const keys = [];
+  const pattern = path
+    .split('/')
+    .map(segment => {
+      if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      keys.push(segment.slice(1));
+      return '([^/]+)';
+    })
+    .join('/');
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+export class Router {
+  // bodyLimit: largest accepted JSON body in bytes. Errors other than HttpError become 500s;
+  // a middleware can map known ones to HttpErrors first.
+  constructor(logger, { bodyLimit = 102400 } = {}) {
+    this.logger = logger;
+    this.bodyLimit = bodyLimit;
+    this.middleware = [];
+    this.routes = [];
+  }
+
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // options: { body: schema, query: schema, ...anything middleware reads from ctx.route (e.g. scope) }.
+  // handler(ctx) returns the JSON response body (status 200, or ctx.status), or calls ctx.send itself.
+  route(method, path, options, handler) {
+    if (typeof options === 'function') [options, handler] = [{}, options];
+    this.routes.push({ method, path, ...compilePath(path), ...options, handler });
+    return this;
+  }
+
+  get(path, options, handler) { return this.route('GET', path, options, handler); }
+  post(path, options, handler) { return this.route('POST', path, options, handler); }
+  patch(path, options, handler) { return this.route('PATCH', path, options, handler); }
+  delete(path, options, handler) { return this.route('DELETE', path, options, handler); }
+
+  // Route for a request: { route, params }, or { allowed } listing the methods of a matching path
+  match(method, pathname) {
+    const allowed = new Set();
+    for (const route of this.routes) {
+      const found = route.regex.exec(pathname);
+      if (!found) continue;
+      if (route.method !== method) {
+        allowed.add(route.method);
+        continue;
+      }
+      const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeParam(found[i + 1])]));
+      return { route, params };
+    }
+    return { route: null, params: {}, allowed: [...allowed] };
+  }
+
+  // Paths for the startup log, e.g. ['GET /health', 'POST /api/sync']
+  describe() {
+    return this.routes.map(route => `${route.method} ${route.path}`);
+  }
+
+  // The (req, res) listener for http.createServer
+  handler() {
+    return (req, res) => this.handle(req, res);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const { route, params, allowed } = this.match(req.method, url.pathname);
+    const ctx = {
+      req,
+      res,
+      url,
+      route,
+      params,
+      query: url.searchParams,
+      body: undefined,
+      status: 200,
+      state: {},
+      startedAt: Date.now(),
+      send: (status, body) => this.send(res, status, body)
+    };
+
+    const dispatch = async () => {
+      if (!route) {
+        if (allowed.length > 0) {
+          res.setHeader('Allow', allowed.join(', '));
+          throw new HttpError(405, 'method_not_allowed', `${req.method} is not allowed on ${url.pathname}`, { allowed });
+        }
+        throw new HttpError(404, 'not_found', `No route for ${req.method} ${url.pathname}`);
+      }
+
+      if (route.query) {
+        const errors = validateSchema(route.query, Object.fromEntries(url.searchParams));
+        if (errors.length > 0) throw new HttpError(400, 'invalid_query', 'Query parameters are invalid', { errors });
+      }
+      if (['POST', 'PATCH', 'PUT'].includes(req.method)) {
+        ctx.body = await readJsonBody(req, { limit: this.bodyLimit });
+        if (route.body) {
+          const errors = validateSchema(route.body, ctx.body);
+          if (errors.length > 0) throw new HttpError(400, 'invalid_body', 'Request body is invalid', { errors });
+        }
+      }
+
+      const result = await route.handler(ctx);
+      if (!res.headersSent && result !== undefined) this.send(res, ctx.status, result);
+    };
+
+    // Middleware run outermost first; the last step matches the route and calls its handler
+    const run = (i) => (i < this.middleware.length ? this.middleware[i](ctx, () => run(i + 1)) : dispatch());
+
+    try {
+      await run(0);
+    } catch (error) {
+      this.sendError(ctx, error);
+    }
+  }
+
+  send(res, status, body) {
+    if (res.headersSent) return;
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(status);
+    res.end(body === null ? '' : JSON.stringify(body, null, 2));
+  }
+
+  sendError(ctx, error) {
+    const httpError = error instanceof HttpError ? error : null;
+    if (!httpError) {
+      this.logger.error('API error', { error: error.message, code: error.code, path: ctx.url.pathname, method: ctx.req.method });
+    }
+    const { status, code, message, details } = httpError || new HttpError(500, 'internal_error', 'Internal server error');
+    // Do not keep reading an oversized body on a kept-alive connection
+    if (status === 413 && !ctx.res.headersSent) ctx.res.setHeader('Connection', 'close');
+    this.send(ctx.res, status, { error: { code, message, details } });
+  }
+}
@@ -2,9 +2,30 @@ import { Client } from '@notionhq/client';
 import { createClient } from '@supabase/supabase-js';
 import { createHash } from 'crypto';
 import { createServer } from 'http';
+import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { EnhancedLogger } from './enhanced-logger.mjs';
 import { MetricsCollector } from './metrics-collector.mjs';
+import { ConflictResolver } from './conflict-resolver.mjs';
+import { PropertyMapping } from './property-mapping.mjs';
+import { NotionLookup } from './notion-lookup.mjs';
+import { loadSources } from './sync-sources.mjs';
+import { SyncFailureTracker } from './sync-failures.mjs';
+import { RateLimiter } from './rate-limiter.mjs';
+import { runPool } from './worker-pool.mjs';
+import { classifyError, backoffDelay, CircuitBreaker, CircuitOpenError } from './resilience.mjs';
+import { PageValidator } from './page-validator.mjs';
+import { VentureResolver } from './venture-resolver.mjs';
+import { Normalizer } from './normalization.mjs';
+import { ReferenceCache } from './reference-cache.mjs';
+import { HASH_VERSION, hashVersion, contentHash, changedFields, v1Normalize } from './content-hash.mjs';
+import { NotionBlockFetcher } from './notion-blocks.mjs';
+import { ApiKeyStore, hasScope, requestApiKey } from './api-keys.mjs';
+import { TaskApi, ApiInputError, TASK_SELECT, isUuid } from './task-api.mjs';
+import { ProjectApi } from './project-api.mjs';
+import { Router, HttpError } from './http-router.mjs';
+import { SCHEMAS } from './api-schemas.mjs';
+import { SyncLock, SyncJobQueue, SyncBusyError, newSyncProgress } from './sync-jobs.mjs';
 
 dotenv.config();
 
@@ -12,7 +33,10 @@ dotenv.config();
 const config = {
   notion: {
     token: process.env.NOTION_TOKEN,
-    databaseId: process.env.NOTION_DATABASE_ID
+    databaseId: process.env.NOTION_DATABASE_ID,
+    mappingPath: process.env.NOTION_MAPPING_PATH || fileURLToPath(new URL('./notion-mapping.json', import.meta.url)),
+    // Optional list of capture databases; see sync-sources.example.json
+    sourcesPath: process.env.NOTION_SOURCES_PATH || null
   },
   supabase: {
     url: process.env.SUPABASE_URL,
@@ -20,17 +44,81 @@ const config = {
     anonKey: process.env.SUPABASE_ANON_KEY
   },
   rateLimit: {
-    notionDelay: 350,
-    supabaseDelay: 100,
+    // Notion allows ~3 requests/s per integration; every Notion call (sync and alerts) takes a token
+    notionRequestsPerSecond: parseFloat(process.env.NOTION_RATE_LIMIT || '3'),
+    notionBurst: 3,
+    supabaseRequestsPerSecond: parseFloat(process.env.SUPABASE_RATE_LIMIT || '20'),
+    supabaseBurst: 10,
     batchSize: 25
   },
+  sync: {
+    // Pages processed in parallel within a batch
+    concurrency: parseInt(process.env.SYNC_CONCURRENCY || '4', 10)
+  },
   retry: {
     maxAttempts: 3,
-    baseDelay: 1000
+    baseDelay: 1000,
+    maxDelay: 30000
+  },
+  body: {
+    // Sync the page body (child blocks as Markdown) into tasks.notes; costs extra Notion reads per page
+    enabled: process.env.SYNC_PAGE_BODY === 'true',
+    maxBlocks: parseInt(process.env.PAGE_BODY_MAX_BLOCKS || '500', 10),
+    maxDepth: 3,
+    // With the page body on, to-do blocks also become rows of the subtasks table
+    subtasks: process.env.SYNC_SUBTASKS !== 'false'
+  },
+  snapshots: {
+    // notion_page_snapshots versions kept per page (0 keeps all)
+    keep: parseInt(process.env.SNAPSHOT_RETENTION || '20', 10)
+  },
+  referenceCache: {
+    // Focus slots, ventures, domains and aliases are reloaded at the start of a run once this old
+    ttlSeconds: parseInt(process.env.REFERENCE_CACHE_TTL_SECONDS || '300', 10)
+  },
+  circuitBreaker: {
+    // Consecutive service-down failures (network, 5xx, pool exhaustion) before a service is cut off
+    failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    cooldownMs: parseInt(process.env.CIRCUIT_COOLDOWN_MS || '60000', 10)
+  },
+  reverseSync: {
+    // Off unless opted in: once on, the bridge edits Notion pages
+    enabled: process.env.REVERSE_SYNC_ENABLED === 'true',
+    batchSize: parseInt(process.env.REVERSE_SYNC_BATCH_SIZE || '50', 10)
+  },
+  conflicts: {
+    // notion-wins | supabase-wins | newest-wins | manual
+    policy: process.env.CONFLICT_POLICY || 'notion-wins'
+  },
+  reconcile: {
+    // on_hold | soft_delete | hard_delete
+    action: process.env.ORPHAN_ACTION || 'on_hold',
+    batchSize: 50,
+    // Continuous mode runs reconciliation every N sync runs (60 ≈ hourly, 0 disables)
+    intervalRuns: parseInt(process.env.RECONCILE_INTERVAL_RUNS || '60', 10)
+  },
+  failures: {
+    // Retries back off base, 2x, 4x ... minutes (capped); after maxAttempts a page is marked dead
+    maxAttempts: parseInt(process.env.SYNC_FAILURE_MAX_ATTEMPTS || '5', 10),
+    baseDelayMinutes: parseInt(process.env.SYNC_FAILURE_RETRY_MINUTES || '5', 10),
+    maxDelayMinutes: 360,
+    retryBatchSize: 50
+  },
+  syncLock: {
+    // A replica that dies mid-run blocks others for at most this long
+    leaseSeconds: parseInt(process.env.SYNC_LOCK_LEASE_SECONDS || '300', 10)
   },
   server: {
     port: process.env.PORT || 3000,
     enableHealthCheck: true
+  },
+  api: {
+    // Browser origins allowed to call the API (comma separated, '*' for any); empty sends no CORS headers
+    corsOrigins: (process.env.API_CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+    // Verified keys are reused for this long before api_keys is read again
+    keyCacheSeconds: parseInt(process.env.API_KEY_CACHE_SECONDS || '60', 10),
+    // Larger request bodies are rejected with 413
+    bodyLimitBytes: parseInt(process.env.API_BODY_LIMIT_BYTES || '102400', 10)
   }
 };
 
@@ -41,10 +129,36 @@ const flags = {
   dryRun: args.includes('--dry-run'),
   verbose: args.includes('--verbose'),
   since: args.find(a => a.startsWith('--since='))?.split('=')[1],
-  server: args.includes('--server')
+  server: args.includes('--server'),
+  reconcile: args.includes('--reconcile'),
+  // Full resync of every source database, resumable from the last checkpointed batch
+  backfill: args.includes('--backfill'),
+  // Ignore integrations_notion.external_hash and send every page through the RPC
+  force: args.includes('--force'),
+  // List sync_failures (--failures or --failures=pending|dead|resolved|all) and exit
+  failures: args.includes('--failures') ? 'pending' : args.find(a => a.startsWith('--failures='))?.split('=')[1],
+  // Retry every open failure now, ignoring backoff, and exit
+  retryFailures: args.includes('--retry-failures'),
+  // Create a management API key (--create-api-key --name=ops --scopes=read,sync), print it and exit
+  createApiKey: args.includes('--create-api-key'),
+  keyName: args.find(a => a.startsWith('--name='))?.split('=')[1],
+  keyScopes: args.find(a => a.startsWith('--scopes='))?.split('=')[1]
 };
 
 // Initialize enhanced logging and metrics
+// Central rate limiter: per-service token buckets shared by makeApiCall and Notion alerts.
+// Built before the logger (which sends alerts through it), hence console.error on bad config.
+let rateLimiter;
+try {
+  rateLimiter = new RateLimiter({
+    notion: { ratePerSecond: config.rateLimit.notionRequestsPerSecond, burst: config.rateLimit.notionBurst },
+    supabase: { ratePerSecond: config.rateLimit.supabaseRequestsPerSecond, burst: config.rateLimit.supabaseBurst }
+  });
+} catch (error) {
+  console.error(`Invalid NOTION_RATE_LIMIT or SUPABASE_RATE_LIMIT: ${error.message}`);
+  process.exit(1);
+}
+
 const logger = new EnhancedLogger({
   level: flags.verbose ? 'debug' : 'info',
   serviceName: 'qc-bridge',
@@ -52,14 +166,15 @@ const logger = new EnhancedLogger({
   version: '2.1.0',
   enableNotionAlerts: !flags.dryRun, // Disable Notion alerts in dry-run mode
   notionToken: config.notion.token,
-  notionAlertsDbId: process.env.NOTION_ALERTS_DATABASE_ID
+  notionAlertsDbId: process.env.NOTION_ALERTS_DATABASE_ID,
+  rateLimiter
 });
 
 // Validate configuration
 function validateConfig() {
   const required = [
     { key: 'NOTION_TOKEN', value: config.notion.token },
-    { key: 'NOTION_DATABASE_ID', value: config.notion.databaseId },
+    { key: 'NOTION_DATABASE_ID', value: config.notion.databaseId || config.notion.sourcesPath },
     { key: 'SUPABASE_URL', value: config.supabase.url }
   ];
 
@@ -77,13 +192,67 @@ function validateConfig() {
   }
 
   if (!config.supabase.serviceRole) {
-    logger.warn('No SUPABASE_SERVICE_ROLE found, using ANON_KEY (limited permissions)');
+    // create_or_update_task, move_project_to_venture and the sync lease are granted to service_role only
+    logger.warn('No SUPABASE_SERVICE_ROLE found, using ANON_KEY (limited permissions; task writes fail once sql/add_task_api.sql is applied)');
+  }
+
+  if (!['on_hold', 'soft_delete', 'hard_delete'].includes(config.reconcile.action)) {
+    logger.fatal('Invalid ORPHAN_ACTION', { value: config.reconcile.action, allowed: ['on_hold', 'soft_delete', 'hard_delete'] });
+    process.exit(1);
+  }
+
+  if (!(config.sync.concurrency >= 1)) {
+    logger.fatal('Invalid SYNC_CONCURRENCY', { value: config.sync.concurrency });
+    process.exit(1);
+  }
+
+  if (!(config.referenceCache.ttlSeconds >= 0)) {
+    logger.fatal('Invalid REFERENCE_CACHE_TTL_SECONDS', { value: config.referenceCache.ttlSeconds });
+    process.exit(1);
+  }
+
+  if (!(config.api.keyCacheSeconds >= 0)) {
+    logger.fatal('Invalid API_KEY_CACHE_SECONDS', { value: config.api.keyCacheSeconds });
+    process.exit(1);
+  }
+
+  if (!(config.api.bodyLimitBytes > 0)) {
+    logger.fatal('Invalid API_BODY_LIMIT_BYTES', { value: config.api.bodyLimitBytes });
+    process.exit(1);
+  }
+
+  if (!(config.syncLock.leaseSeconds >= 30)) {
+    logger.fatal('Invalid SYNC_LOCK_LEASE_SECONDS (minimum 30)', { value: config.syncLock.leaseSeconds });
+    process.exit(1);
   }
 }
 
 // Initialize clients
 validateConfig();
 
+let sources;
+try {
+  sources = loadSources(config.notion);
+} catch (error) {
+  logger.fatal('Invalid sync source configuration', {
+    sources_path: config.notion.sourcesPath,
+    mapping_path: config.notion.mappingPath,
+    error: error.message
+  });
+  process.exit(1);
+}
+
+if (sources.length === 0) {
+  logger.fatal('No sync sources configured', { sources_path: config.notion.sourcesPath });
+  process.exit(1);
+}
+
+// Per-source stats of the latest run, exposed on /metrics
+const lastSourceStats = {};
+
+// Pages skipped by validation in the current run; dry-run summaries list them in full
+const rejectedPages = [];
+
 const notion = new Client({ auth: config.notion.token });
 const supabase = createClient(
   config.supabase.url,
@@ -91,42 +260,92 @@ const supabase = createClient(
 );
 
 // Initialize metrics collector
-const metrics = new MetricsCollector(logger, supabase);
+const metrics = new MetricsCollector(logger, supabase, rateLimiter);
+const conflictResolver = new ConflictResolver(logger, supabase, config.conflicts);
+const failureTracker = new SyncFailureTracker(logger, supabase, config.failures);
+const apiKeys = new ApiKeyStore(logger, supabase, { cacheTtlMs: config.api.keyCacheSeconds * 1000 });
+// Every sync run (the loop, the one-off modes and API jobs) holds this lock
+const syncLock = new SyncLock(logger, supabase, { leaseSeconds: config.syncLock.leaseSeconds });
+const syncJobs = new SyncJobQueue(logger, supabase, { lock: syncLock, runSync: (progress) => syncPages({ progress }) });
+const notionLookup = new NotionLookup(logger, {
+  retrieveUser: (userId) => makeApiCall('notion', 'retrieve_user', async () => {
+    return await notion.users.retrieve({ user_id: userId });
+  }, { operation: 'retrieve_user', user_id: userId }),
+  retrievePage: (pageId) => makeApiCall('notion', 'retrieve_page', async () => {
+    return await notion.pages.retrieve({ page_id: pageId });
+  }, { operation: 'retrieve_related_page', page_id: pageId })
+});
+// Reference data for normalization and validation, loaded once and reused until the TTL
+// expires or POST /api/cache/invalidate; a run never reloads it halfway through
+const listTable = (table, columns, { optional = false } = {}) => () => makeApiCall('supabase', `list_${table}`, async () => {
+  const { data, error } = await supabase.from(table).select(columns);
+  // Optional tables may not exist yet (42P01 from Postgres, PGRST205 from PostgREST's schema cache)
+  if (optional && (error?.code === '42P01' || error?.code === 'PGRST205')) return [];
+  if (error) throw error;
+  return data || [];
+}, { operation: `list_${table}` });
+
+const referenceCache = new ReferenceCache(logger, {
+  focusSlots: async () => (await listTable('focus_slots', 'slot')()).map(row => row.slot),
+  ventures: listTable('ventures', 'id, slug, name, primary_domain_id'),
+  domains: listTable('domains', 'id, slug, name'),
+  // sql/create_venture_aliases.sql is optional; without it only slug/name match
+  ventureAliases: listTable('venture_aliases', 'alias, venture_id', { optional: true }),
+  // sql/create_value_aliases.sql is required (status, priority and focus slot rules)
+  valueAliases: listTable('value_aliases', 'kind, match_type, pattern, value, position')
+}, { ttlMs: config.referenceCache.ttlSeconds * 1000 });
+
+const blockFetcher = new NotionBlockFetcher(logger, {
+  listChildren: (blockId, startCursor) => makeApiCall('notion', 'list_blocks', async () => {
+    return await notion.blocks.children.list({ block_id: blockId, start_cursor: startCursor, page_size: 100 });
+  }, { operation: 'list_blocks', block_id: blockId }),
+  maxDepth: config.body.maxDepth,
+  maxBlocks: config.body.maxBlocks
+});
+const ventureResolver = new VentureResolver(logger, referenceCache);
+const pageValidator = new PageValidator(logger, { ventureResolver });
+const normalizer = new Normalizer(logger, referenceCache, {
+  recordUnknown: (entry) => makeApiCall('supabase', 'record_unknown_value', async () => {
+    const { error } = await supabase.rpc('record_unknown_value', {
+      p_kind: entry.kind,
+      p_value: entry.value,
+      p_source: entry.source,
+      p_count: entry.count,
+      p_example_ref: entry.example_ref
+    });
+    if (error) throw error;
+  }, { operation: 'record_unknown_value', kind: entry.kind })
+});
+const taskApi = new TaskApi(logger, { ventureResolver, normalizer, referenceCache });
+const projectApi = new ProjectApi(logger, supabase, { ventureResolver, normalizer, referenceCache });
 
 // Helper: Sleep for rate limiting
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Enhanced retry with metrics
+// One breaker per external service; state is reported on /health
+const breakers = {
+  notion: new CircuitBreaker('notion', config.circuitBreaker),
+  supabase: new CircuitBreaker('supabase', config.circuitBreaker)
+};
+
+// Retry with classified errors and jittered exponential backoff (see resilience.mjs).
+// fn receives the attempt number.
 async function retryWithBackoff(fn, maxAttempts = config.retry.maxAttempts, context = {}) {
-  const operationId = metrics.startOperation('retry_operation', context);
-  
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+  for (let attempt = 1; ; attempt++) {
     try {
-      metrics.addOperationStep(operationId, `attempt_${attempt}`);
-      const result = await fn();
-      metrics.completeOperation(operationId, { attempts: attempt, success: true });
-      return result;
+      return await fn(attempt);
     } catch (error) {
-      const isRetryable = 
-        error.status === 429 || 
-        error.status >= 500 ||
-        error.code === 'ECONNRESET' ||
-        error.code === 'ETIMEDOUT';
-      
-      if (!isRetryable || attempt === maxAttempts) {
-        metrics.failOperation(operationId, error, { attempts: attempt });
-        throw error;
-      }
-      
-      const delay = config.retry.baseDelay * Math.pow(2, attempt - 1);
-      metrics.addOperationStep(operationId, `retry_delay_${attempt}`, { delay_ms: delay });
+      const { kind, retryable } = classifyError(error);
+      if (!retryable || attempt >= maxAttempts) throw error;
       
+      const delay = backoffDelay(attempt, config.retry.baseDelay, config.retry.maxDelay);
       logger.debug('Retry attempt', { 
+        ...context,
         attempt, 
         maxAttempts, 
+        error_kind: kind,
         delay_ms: delay,
-        error: error.message,
-        operation_id: operationId
+        error: error.message
       });
       
       await sleep(delay);
@@ -134,19 +353,56 @@ async function retryWithBackoff(fn, maxAttempts = config.retry.maxAttempts, cont
   }
 }
 
-// Enhanced API call wrapper
-async function makeApiCall(service, endpoint, apiFunction, context = {}) {
+// Feed a failed call into the service's breaker and rate limiter
+function recordServiceError(service, endpoint, error) {
+  const { serviceDown } = classifyError(error);
+  const breaker = breakers[service];
+  
+  if (breaker && serviceDown) {
+    if (breaker.recordFailure(error)) {
+      logger.error('Circuit breaker opened', { service, endpoint, ...breaker.snapshot() });
+    }
+  } else if (breaker) {
+    // The service answered (e.g. a validation or constraint error), so it is up
+    breaker.recordSuccess();
+  }
+  
+  // 429: hold every caller of this service until Retry-After has passed
+  const pauseMs = rateLimiter.throttle(service, error, config.retry.baseDelay);
+  if (pauseMs !== null) {
+    logger.warn('Rate limited, pausing service', { service, endpoint, pause_ms: pauseMs });
+  }
+}
+
+// Enhanced API call wrapper: every external call goes through the circuit breaker, the
+// rate limiter and classified retries. maxAttempts 1 for calls that are not safe to repeat.
+async function makeApiCall(service, endpoint, apiFunction, context = {}, { maxAttempts = config.retry.maxAttempts } = {}) {
   const startTime = Date.now();
   const operationId = metrics.startOperation('api_call', { service, endpoint, ...context });
   
   try {
-    metrics.addOperationStep(operationId, 'api_request_start');
-    const result = await apiFunction();
+    const result = await retryWithBackoff(async (attempt) => {
+      metrics.addOperationStep(operationId, attempt === 1 ? 'api_request_start' : `retry_attempt_${attempt}`);
+      breakers[service]?.beforeCall();
+      // Shared budget: concurrent workers queue here instead of sleeping between calls
+      await rateLimiter.acquire(service);
+      
+      const callStart = Date.now();
+      try {
+        const value = await apiFunction();
+        metrics.recordApiCall(service, endpoint, Date.now() - callStart, true);
+        breakers[service]?.recordSuccess();
+        return value;
+      } catch (error) {
+        metrics.recordApiCall(service, endpoint, Date.now() - callStart, false);
+        recordServiceError(service, endpoint, error);
+        throw error;
+      }
+    }, maxAttempts, { service, endpoint, operation_id: operationId });
+    
     const duration = Date.now() - startTime;
-
     const responseSize = (typeof result === 'undefined') ? 0 : JSON.stringify(result).length;
     
-    metrics.recordApiCall(service, endpoint, duration, true);
     metrics.completeOperation(operationId, { 
       success: true, 
       duration_ms: duration,
@@ -155,161 +411,140 @@ async function makeApiCall(service, endpoint, apiFunction, context = {}) {
     
     return result;
   } catch (error) {
-    const duration = Date.now() - startTime;
-    metrics.recordApiCall(service, endpoint, duration, false);
-    metrics.failOperation(operationId, error, { duration_ms: duration });
+    metrics.failOperation(operationId, error, {
+      duration_ms: Date.now() - startTime,
+      error_kind: classifyError(error).kind
+    });
     throw error;
   }
 }
 
-// Helper: Synchronous normalization for focus slot used in hashing
-function normalizeFocusSlotForHash(val) {
-  if (!val) return '';
-  const stripped = String(val).replace(/^[\p{Emoji_Presentation}\p{Extended_Pictographic}\p{Emoji}\s]+/u, '').trim();
-  // Map common known variants to canonical non-emoji names for stable hashing
-  const mapping = {
-    'morning routine': 'Morning Routine',
-    'deep work block 1': 'Deep Work Block 1',
-    'admin block 1': 'Admin Block 1',
-    'recharge & rest': 'Recharge & Rest',
-    'deep work block 2': 'Deep Work Block 2',
-    'admin block 2': 'Admin Block 2',
-    'shutdown routine': 'Shutdown Routine'
-  };
-  const key = stripped.toLowerCase();
-  return mapping[key] || stripped;
+// Helper: Flatten a raw mapped value for hashing (people/relation/multi_select arrays become ID/name lists)
+function hashText(value) {
+  if (Array.isArray(value)) return [...value].sort().join(',');
+  return value ? String(value) : '';
 }
 
-// Helper: Calculate hash of Notion properties
-function calculateHash(properties) {
-  const rawFocusSlot = properties['Focus Slot']?.select?.name || '';
-  const rawStatus = properties.Status?.select?.name || '';
-  const rawPriority = properties.Priority?.select?.name || '';
+// Helper: Normalized values of the hashed fields (resolved through the source's property mapping).
+// Changing this field set or its normalization needs a new HASH_VERSION (content-hash.mjs).
+// v1 hashes normalized priority, status and focus slot with the built-in rules, not value_aliases.
+function hashValues(properties, mapping, version = HASH_VERSION) {
+  const raw = mapping.extract(properties);
+  // Canonical value of a normalized field as this hash version computes it
+  const canonical = version === 1
+    ? (kind, value) => v1Normalize[kind](value)
+    : (kind, value) => normalizer.normalize(kind, value).value || '';
   const relevant = {
-    title: properties.Task?.title?.[0]?.plain_text || '',
-    domain: properties.Domain?.select?.name?.toLowerCase() || '',
-    venture: properties.Venture?.select?.name?.toLowerCase() || '',
-    project: properties.Project?.rich_text?.[0]?.plain_text || '',
-    milestone: properties.Milestone?.rich_text?.[0]?.plain_text || '',
-    priority: mapPriority(rawPriority) || '',
-    due: properties['Due Date']?.date?.start || '',
-    assignee: properties.Assignee?.rich_text?.[0]?.plain_text || '',
-    status: mapStatus(rawStatus) || '',
-    focusSlot: normalizeFocusSlotForHash(rawFocusSlot) || '',
-    focusDate: properties['Focus Date']?.date?.start || ''
+    title: hashText(raw.title),
+    domain: hashText(raw.domain).toLowerCase(),
+    venture: hashText(raw.venture).toLowerCase(),
+    project: hashText(raw.project),
+    milestone: hashText(raw.milestone),
+    priority: canonical('priority', raw.priority),
+    due: raw.dueDate || '',
+    assignee: hashText(raw.assignee),
+    status: canonical('status', raw.status),
+    focusSlot: canonical('focus_slot', raw.focusSlot),
+    focusDate: raw.focusDate || ''
   };
-  return createHash('sha256').update(JSON.stringify(relevant)).digest('hex');
+  // Only hashed when mapped, so enabling tags is the one thing that changes existing hashes
+  if (mapping.has('tags')) relevant.tags = hashText(raw.tags);
+  return relevant;
 }
 
-// Helper: Normalize focus slot to canonical non-emoji value using DB list if available
-async function mapFocusSlotAsync(notionValue) {
-  if (!notionValue) return null;
-  const val = String(notionValue).trim();
-
-  // Strip known emoji prefixes quickly
-  const stripped = val.replace(/^[\p{Emoji_Presentation}\p{Extended_Pictographic}\p{Emoji}\s]+/u, '').trim();
-
-  // Try exact match against DB (focus_slots.slot) and partial insensitively
-  try {
-    const { data, error } = await supabase
-      .from('focus_slots')
-      .select('slot')
-      .ilike('slot', `%${stripped}%`);
-
-    if (!error && data && data.length > 0) {
-      // Prefer exact case-insensitive match first
-      const exact = data.find(d => d.slot.toLowerCase() === stripped.toLowerCase());
-      return exact ? exact.slot : data[0].slot;
-    }
-  } catch {}
+// Helper: Versioned content hash of a page ({ hash, fieldHashes }); older versions are
+// computed only to recognise pages that did not change since a hash version bump
+function calculateHash(properties, mapping, version = HASH_VERSION) {
+  return contentHash(hashValues(properties, mapping, version), version);
+}
 
-  // Fallbacks: common names
-  const fallbacks = ['Morning Routine','Deep Work Block 1','Admin Block 1','Recharge & Rest','Deep Work Block 2','Admin Block 2','Shutdown Routine'];
-  const found = fallbacks.find(s => s.toLowerCase().includes(stripped.toLowerCase()) || stripped.toLowerCase().includes(s.toLowerCase()));
-  if (found) return found;
+// Helper: Collapse resolved lists to one value (relations use the first related page)
+function firstValue(value) {
+  return Array.isArray(value) ? (value[0] || null) : (value || null);
+}
 
-  logger.warn('Unknown focus slot value, setting to null', { notion_value: notionValue });
-  return null;
+// Helper: Extract property values (property names and types come from the source's mapping).
+// People resolve to emails and relations to related page titles, hence async.
+// Empty Domain/Venture fall back to the source defaults.
+async function extractProperties(page, source) {
+  const raw = await notionLookup.resolve(source.mapping.extract(page.properties), source.mapping);
+  const domain = firstValue(raw.domain)?.toLowerCase() || source.defaults.domain;
+  const venture = firstValue(raw.venture)?.toLowerCase() || source.defaults.venture;
+  const rawStatus = firstValue(raw.status);
+  const rawPriority = firstValue(raw.priority);
+  // Unrecognised values fall back to To Do / P2 and are collected for the unknown values report
+  const { value: status, fallback: statusFallback } = normalizer.resolve('status', rawStatus, { source: source.key, ref: page.id });
+  const { value: priority, fallback: priorityFallback } = normalizer.resolve('priority', rawPriority, { source: source.key, ref: page.id });
+  
+  return {
+    title: raw.title || 'Untitled',
+    domain,
+    venture,
+    area: venture || domain, // For RPC compatibility
+    project: firstValue(raw.project),
+    milestone: firstValue(raw.milestone),
+    priority,
+    rawPriority,
+    priorityFallback,
+    dueDate: raw.dueDate,
+    assignee: Array.isArray(raw.assignee) ? (raw.assignee.join(', ') || null) : raw.assignee,
+    tags: source.mapping.has('tags') ? [].concat(raw.tags || []) : undefined,
+    status,
+    rawStatus,
+    statusFallback,
+    // Raw value; normalized against focus_slots during task creation
+    focusSlot: firstValue(raw.focusSlot),
+    focusDate: raw.focusDate,
+    supabaseTaskId: raw.supabaseTaskId,
+    linked: raw.linked || false
+  };
 }
 
-// Helper: Normalize priority to non-emoji values: P0,P1,P2,P3
-function mapPriority(val) {
-  if (!val) return null;
-  const v = String(val).trim().toLowerCase();
-  if (v.includes('p0') || v.includes('urgent')) return 'P0';
-  if (v.includes('p1') || v.includes('high') || v.includes('🔥')) return 'P1';
-  if (v.includes('p2') || v.includes('medium') || v.includes('🟡')) return 'P2';
-  if (v.includes('p3') || v.includes('low') || v.includes('🟢')) return 'P3';
-  // Fallback default
-  return 'P2';
+// Retrieve a source database (schema and select options)
+async function retrieveDatabase(source) {
+  return await makeApiCall('notion', 'retrieve_database', async () => {
+    return await notion.databases.retrieve({ database_id: source.databaseId });
+  }, { operation: 'retrieve_database', source: source.key });
 }
 
-// Helper: Map task status values to non-emoji canonical variants
-function mapStatus(notionValue) {
-  if (!notionValue) return null;
-  const value = String(notionValue).trim();
-  const lower = value.toLowerCase();
+// Validate every source's property mapping against its live database schema; exits with a diff on mismatch
+async function validatePropertyMapping() {
+  for (const source of sources) {
+    const database = await retrieveDatabase(source);
+    const { valid, diff } = source.mapping.validate(database);
+    if (!valid) {
+      logger.fatal('Notion property mapping does not match the database schema', {
+        source: source.key,
+        mapping_path: source.mappingPath,
+        database_id: source.databaseId,
+        diff
+      });
+      console.error(`Property mapping mismatch for source "${source.key}" (${source.mappingPath}):\n${PropertyMapping.formatDiff(diff, database)}`);
+      process.exit(1);
+    }
 
-  if (/[📝🔄✅⏸️]/.test(value)) {
-    // Strip emoji and map
-    if (value.includes('On Hold')) return 'On Hold';
-    if (value.includes('In Progress')) return 'In Progress';
-    if (value.includes('Done') || value.includes('Complete')) return 'Done';
-    return 'To Do';
+    logger.debug('Notion property mapping validated', { source: source.key, fields: Object.keys(source.mapping.fields).length });
   }
-
-  if (lower.includes('hold')) return 'On Hold';
-  if (lower.includes('progress')) return 'In Progress';
-  if (lower.includes('done') || lower.includes('complete')) return 'Done';
-  if (lower.includes('to do') || lower === 'todo' || lower === 'to-do') return 'To Do';
-
-  // Fallback to default 'To Do' to avoid constraint issues
-  logger.warn('Unknown status value, defaulting to "To Do"', { notion_value: notionValue });
-  return 'To Do';
-}
-
-// Helper: Extract property values
-function extractProperties(page) {
-  const props = page.properties;
-  const rawFocusSlot = props['Focus Slot']?.select?.name || null;
-  const rawStatus = props.Status?.select?.name || null;
-  
-  return {
-    title: props.Task?.title?.[0]?.plain_text || 'Untitled',
-    domain: props.Domain?.select?.name?.toLowerCase() || null,
-    venture: props.Venture?.select?.name?.toLowerCase() || null,
-    area: props.Venture?.select?.name?.toLowerCase() || props.Domain?.select?.name?.toLowerCase() || null, // For RPC compatibility
-    project: props.Project?.rich_text?.[0]?.plain_text || null,
-    milestone: props.Milestone?.rich_text?.[0]?.plain_text || null,
-    priority: mapPriority(props.Priority?.select?.name || null),
-    dueDate: props['Due Date']?.date?.start || null,
-    assignee: props.Assignee?.rich_text?.[0]?.plain_text || null,
-    status: mapStatus(rawStatus),
-    // Note: mapFocusSlotAsync is async; we will resolve it during task creation
-    focusSlot: rawFocusSlot,
-    focusDate: props['Focus Date']?.date?.start || null,
-    supabaseTaskId: props['Supabase Task ID']?.rich_text?.[0]?.plain_text || null,
-    linked: props.Linked?.checkbox || false
-  };
 }
 
-// Enhanced cursor management
-async function getCursor() {
+// Enhanced cursor management (one sync_state row per source)
+async function getSyncState(source) {
   return await makeApiCall('supabase', 'get_cursor', async () => {
     const { data, error } = await supabase
       .from('sync_state')
       .select('last_synced_at, cursor_data')
-      .eq('source', 'notion_quick_capture')
+      .eq('source', source.key)
       .single();
     
     if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
-    return data?.last_synced_at || new Date(Date.now() - 3600000).toISOString();
-  }, { operation: 'get_cursor' });
+    return data || null;
+  }, { operation: 'get_cursor', source: source.key });
 }
 
-async function setCursor(timestamp) {
+// cursorData carries the rest of cursor_data (e.g. a backfill checkpoint) so it is not lost
+async function setCursor(source, timestamp, cursorData = {}) {
   if (flags.dryRun) {
-    logger.info('Dry run: Would update cursor', { timestamp });
+    logger.info('Dry run: Would update cursor', { source: source.key, timestamp });
     return;
   }
   
@@ -317,63 +552,92 @@ async function setCursor(timestamp) {
     const { error } = await supabase
       .from('sync_state')
       .upsert({
-        source: 'notion_quick_capture',
+        source: source.key,
         last_synced_at: timestamp,
-        cursor_data: { timestamp },
+        cursor_data: { ...cursorData, timestamp },
         updated_at: new Date().toISOString()
       }, { onConflict: 'source' });
     
     if (error) throw error;
-    logger.debug('Cursor updated', { timestamp });
-  }, { operation: 'set_cursor', timestamp });
+    logger.debug('Cursor updated', { source: source.key, timestamp });
+  }, { operation: 'set_cursor', source: source.key, timestamp });
 }
 
-// Enhanced Notion query
-async function getUpdatedPagesSince(sinceISO) {
-  return await makeApiCall('notion', 'query_database', async () => {
-    const body = {
-      page_size: config.rateLimit.batchSize,
-      sorts: [{ timestamp: 'last_edited_time', direction: 'descending' }]
-    };
-    
-    if (sinceISO) {
-      body.filter = {
-        timestamp: 'last_edited_time',
-        last_edited_time: { on_or_after: sinceISO }
-      };
-    }
+// Store (or clear, with null) the backfill checkpoint in sync_state.cursor_data.backfill.
+// last_synced_at is left alone; a new row starts at the backfill's start time.
+async function setBackfillCheckpoint(source, state, checkpoint) {
+  if (flags.dryRun) {
+    logger.info('Dry run: Would checkpoint backfill', { source: source.key, pages_done: checkpoint?.pages_done });
+    return;
+  }
+  
+  const { backfill, ...cursorData } = state?.cursor_data || {};
+  if (checkpoint) cursorData.backfill = checkpoint;
+  
+  return await makeApiCall('supabase', 'set_backfill_checkpoint', async () => {
+    const { error } = await supabase
+      .from('sync_state')
+      .upsert({
+        source: source.key,
+        last_synced_at: state?.last_synced_at || checkpoint?.started_at || new Date().toISOString(),
+        cursor_data: cursorData,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'source' });
     
-    let response = await notion.databases.query({
-      database_id: config.notion.databaseId,
-      ...body
-    });
+    if (error) throw error;
+  }, { operation: 'set_backfill_checkpoint', source: source.key });
+}
 
-    // Accumulate all pages if has_more using pagination
-    const allResults = [...response.results];
-    let next = response.has_more ? response.next_cursor : null;
-    while (next) {
-      const nextResp = await notion.databases.query({
-        database_id: config.notion.databaseId,
-        start_cursor: next,
-        ...body
-      });
-      allResults.push(...nextResp.results);
-      next = nextResp.has_more ? nextResp.next_cursor : null;
-      await sleep(config.rateLimit.notionDelay);
-    }
-    
-    logger.debug('Notion query complete', { 
-      pages_returned: allResults.length,
-      has_more: false,
-      since: sinceISO 
+// Walk a source database batch by batch. The next batch is requested as soon as the current
+// one is handed out, so Notion fetches overlap with page processing and memory stays at
+// one or two batches. Yields { pages, nextCursor }.
+async function* iterateDatabase(source, { filter, sorts, startCursor = null, operation = 'query_pages' }) {
+  const fetchBatch = (cursor) => makeApiCall('notion', 'query_database', async () => {
+    return await notion.databases.query({
+      database_id: source.databaseId,
+      page_size: config.rateLimit.batchSize,
+      sorts,
+      ...(filter ? { filter } : {}),
+      ...(cursor ? { start_cursor: cursor } : {})
     });
+  }, { operation, source: source.key });
+  
+  let request = fetchBatch(startCursor);
+  while (request) {
+    const response = await request;
+    const nextCursor = response.has_more ? response.next_cursor : null;
     
-    return { results: allResults, has_more: false };
-  }, { operation: 'query_pages', since: sinceISO });
+    request = nextCursor ? fetchBatch(nextCursor) : null;
+    // A failed prefetch is rethrown when awaited; don't let it surface as an unhandled rejection first
+    request?.catch(() => {});
+    
+    logger.debug('Notion batch received', { source: source.key, operation, pages: response.results.length, has_more: !!nextCursor });
+    yield { pages: response.results, nextCursor };
+  }
+}
+
+// Pages edited since the cursor, oldest edit first so the cursor can advance after every batch
+function iterateUpdatedPages(source, sinceISO) {
+  return iterateDatabase(source, {
+    filter: sinceISO ? { timestamp: 'last_edited_time', last_edited_time: { on_or_after: sinceISO } } : null,
+    sorts: [{ timestamp: 'last_edited_time', direction: 'ascending' }],
+    operation: 'query_pages'
+  });
+}
+
+// Every page of a source for --backfill. Sorted by created_time so a stored start_cursor
+// stays valid while pages are edited during the backfill.
+function iterateAllPages(source, startCursor) {
+  return iterateDatabase(source, {
+    sorts: [{ timestamp: 'created_time', direction: 'ascending' }],
+    startCursor,
+    operation: 'backfill_query'
+  });
 }
 
-// Enhanced task creation with transaction support
-async function createTaskInSupabase(props, notionPageId, hash) {
+// Enhanced task creation with transaction support. taskId (management API) updates that task
+// instead of the one linked to notionPageId; it needs sql/add_task_api.sql.
+async function createTaskInSupabase(props, notionPageId, hash, { taskId = null } = {}) {
   const operationId = metrics.startOperation('create_task', {
     entity_type: 'task',
     notion_page_id: notionPageId,
@@ -390,7 +654,7 @@ async function createTaskInSupabase(props, notionPageId, hash) {
 
     // Call the stored procedure with enhanced error context
     metrics.addOperationStep(operationId, 'call_rpc');
-    const { data, error } = await supabase.rpc('create_or_update_task', {
+    const rpcParams = {
       p_title: props.title,
       p_venture_name: props.venture || props.area,  // Use venture, fallback to area for compatibility
       p_project_name: props.project,
@@ -402,11 +666,26 @@ async function createTaskInSupabase(props, notionPageId, hash) {
       p_focus_slot: props.focusSlot,
       p_focus_date: props.focusDate,
       p_notion_page_id: notionPageId
-    });
+    };
+    // p_tags exists once sql/add_task_tags.sql is applied; only sent when tags are mapped
+    if (props.tags !== undefined) rpcParams.p_tags = props.tags;
+    if (taskId) rpcParams.p_task_id = taskId;
     
-    if (error) {
-      throw new Error(`RPC call failed: ${error.message} (${error.code})`);
-    }
+    const data = await makeApiCall('supabase', 'create_or_update_task', async () => {
+      const { data, error } = await supabase.rpc('create_or_update_task', rpcParams);
+      if (error) {
+        // Keep code/details so retries and sync_failures can tell constraint errors from outages
+        throw Object.assign(new Error(`RPC call failed: ${error.message} (${error.code})`), {
+          code: error.code,
+          details: error.details,
+          hint: error.hint
+        });
+      }
+      return data;
+    }, { operation: 'create_task', notion_page_id: notionPageId, task_id: taskId }, {
+      // With neither key the RPC always inserts: a retry after a lost response would create the task twice
+      maxAttempts: notionPageId || taskId ? config.retry.maxAttempts : 1
+    });
     
     metrics.addOperationStep(operationId, 'task_created', { task_id: data?.task_id });
     return metrics.completeOperation(operationId, { 
@@ -416,239 +695,1147 @@ async function createTaskInSupabase(props, notionPageId, hash) {
     });
     
   } catch (error) {
-    return metrics.failOperation(operationId, error, {
+    metrics.failOperation(operationId, error, {
       title: props.title,
       area: props.area,
       notion_page_id: notionPageId
     });
+    // Rethrown so the page counts as failed (and is retried) instead of silently skipped
+    throw error;
   }
 }
 
 // Enhanced Notion page update
-async function updateNotionPage(pageId, taskId) {
-  return await retryWithBackoff(async () => {
-    if (flags.dryRun) {
-      logger.debug('Dry run: Would update Notion page', { pageId, taskId });
-      return;
-    }
+async function updateNotionPage(pageId, taskId, mapping, extraProperties = {}) {
+  if (flags.dryRun) {
+    logger.debug('Dry run: Would update Notion page', { pageId, taskId });
+    return;
+  }
+  
+  return await makeApiCall('notion', 'update_page', async () => {
+    await notion.pages.update({
+      page_id: pageId,
+      properties: {
+        ...mapping.buildProperty('supabaseTaskId', taskId),
+        ...mapping.buildProperty('linked', true),
+        ...extraProperties
+      }
+    });
+  }, { operation: 'update_page', page_id: pageId, task_id: taskId });
+}
+
+// Helper: The normalized property payload stored in notion_page_snapshots
+function snapshotPayload(props) {
+  return {
+    title: props.title,
+    domain: props.domain,
+    venture: props.venture,
+    project: props.project || null,
+    milestone: props.milestone || null,
+    priority: props.priority,
+    status: props.status,
+    dueDate: props.dueDate || null,
+    assignee: props.assignee || null,
+    focusSlot: props.focusSlot || null,
+    focusDate: props.focusDate || null,
+    ...(props.tags !== undefined ? { tags: props.tags } : {})
+  };
+}
+
+// Fetch a page body (SYNC_PAGE_BODY) as Markdown notes plus its to-dos, with a hash over both
+// (the Markdown carries each to-do's checkbox); an empty body is stored as NULL notes
+async function fetchPageBody(pageId) {
+  const { markdown, todos } = await blockFetcher.pageBody(pageId);
+  return {
+    notes: markdown || null,
+    todos,
+    hash: createHash('sha256').update(markdown || '').digest('hex')
+  };
+}
+
+// Store a page body: the task's notes, its subtasks (SYNC_SUBTASKS) and, last, the body hash so an
+// interrupted write is retried on the next run. Neither bumps tasks.updated_at, so the reverse
+// pass does not echo them.
+async function writeTaskBody(taskId, notionPageId, body) {
+  if (flags.dryRun) {
+    logger.debug('Dry run: Would update task notes', {
+      task_id: taskId,
+      page_id: notionPageId,
+      subtasks: config.body.subtasks ? body.todos.length : undefined
+    });
+    return;
+  }
+  
+  await makeApiCall('supabase', 'update_notes', async () => {
+    const { error } = await supabase
+      .from('tasks')
+      .update({ notes: body.notes })
+      .eq('id', taskId);
+    if (error) throw error;
     
-    return await makeApiCall('notion', 'update_page', async () => {
-      await notion.pages.update({
-        page_id: pageId,
-        properties: {
-          'Supabase Task ID': { rich_text: [{ text: { content: taskId } }] },
-          'Linked': { checkbox: true }
-        }
+    if (config.body.subtasks) {
+      const { error: subtasksError } = await supabase.rpc('sync_subtasks', {
+        p_task_id: taskId,
+        p_subtasks: body.todos
       });
-    }, { operation: 'update_page', page_id: pageId, task_id: taskId });
+      if (subtasksError) throw subtasksError;
+    }
     
-    await sleep(config.rateLimit.notionDelay);
-  }, config.retry.maxAttempts, { page_id: pageId, task_id: taskId });
+    const { error: hashError } = await supabase
+      .from('integrations_notion')
+      .update({ body_hash: body.hash })
+      .eq('notion_page_id', notionPageId);
+    if (hashError) throw hashError;
+  }, { operation: 'update_notes', task_id: taskId, page_id: notionPageId });
+}
+
+// Store a page's hash under the current HASH_VERSION without touching the task
+async function rehashIntegration(notionPageId, hash, fieldHashes) {
+  if (flags.dryRun) {
+    logger.debug('Dry run: Would migrate page hash', { page_id: notionPageId });
+    return;
+  }
+  
+  await makeApiCall('supabase', 'rehash_integration', async () => {
+    const { error } = await supabase
+      .from('integrations_notion')
+      .update({ external_hash: hash, field_hashes: fieldHashes })
+      .eq('notion_page_id', notionPageId);
+    if (error) throw error;
+  }, { operation: 'rehash_integration', page_id: notionPageId });
 }
 
-// Enhanced sync check
-async function needsSync(notionPageId, currentHash) {
+// Write the validation report (Sync State / Sync Errors) to a page; no-op when unchanged or unmapped
+async function writeValidationReport(page, source, issues, { skipped }) {
+  const properties = PageValidator.reportProperties(source.mapping, page, PageValidator.summarize(issues, skipped));
+  if (Object.keys(properties).length === 0) return;
+
+  if (flags.dryRun) {
+    logger.debug('Dry run: Would write validation report', { page_id: page.id, issues: issues.map(i => i.code) });
+    return;
+  }
+
+  await makeApiCall('notion', 'update_page', async () => {
+    await notion.pages.update({ page_id: page.id, properties });
+  }, { operation: 'write_validation_report', page_id: page.id });
+}
+
+// Enhanced sync check: load the integration row (hash + last-synced snapshot) for a page
+async function getIntegration(notionPageId) {
   return await makeApiCall('supabase', 'check_sync_needed', async () => {
     const { data, error } = await supabase
       .from('integrations_notion')
-      .select('external_hash')
+      .select('task_id, external_hash, field_hashes, body_hash, synced_values, last_seen_at, orphaned_at')
       .eq('notion_page_id', notionPageId)
       .single();
     
     if (error && error.code !== 'PGRST116') throw error;
-    return !data || data.external_hash !== currentHash;
+    return data || null;
   }, { operation: 'check_sync', page_id: notionPageId });
 }
 
-// Main sync function with comprehensive metrics
-async function syncPages() {
-  // Generate correlation ID for this sync run
-  const correlationId = logger.generateCorrelationId();
-  const syncContext = {
-    entity_type: 'sync',
-    dry_run: flags.dryRun,
-    correlation_id: correlationId
+// Load the current tasks row so Supabase-side edits can be diffed against the snapshot
+async function getTaskForConflictCheck(taskId) {
+  return await makeApiCall('supabase', 'get_task', async () => {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('id, status, priority, focus_slot, focus_date, due_date, updated_at')
+      .eq('id', taskId)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }, { operation: 'get_task', task_id: taskId });
+}
+
+// Helper: Strip leading emoji so canonical values can be matched against Notion option names
+function stripEmojiPrefix(val) {
+  return String(val).replace(/^[\p{Emoji_Presentation}\p{Extended_Pictographic}\p{Emoji}\s]+/u, '').trim();
+}
+
+// Helper: Pick the existing Notion select option for a canonical value (e.g. "P1" -> "🔴 P1")
+function matchSelectOption(options, canonical) {
+  if (!canonical) return null;
+  const target = String(canonical).toLowerCase();
+  const exact = options.find(o => o.name.toLowerCase() === target);
+  if (exact) return exact.name;
+  const stripped = options.find(o => stripEmojiPrefix(o.name).toLowerCase() === target);
+  if (stripped) return stripped.name;
+  const partial = options.find(o => stripEmojiPrefix(o.name).toLowerCase().split(/\s+/).includes(target));
+  return partial ? partial.name : canonical;
+}
+
+// Load select options of a source database once per reverse sync pass
+async function getSelectOptions(source) {
+  const database = await retrieveDatabase(source);
+
+  return {
+    status: source.mapping.optionsFor(database, 'status'),
+    priority: source.mapping.optionsFor(database, 'priority'),
+    focusSlot: source.mapping.optionsFor(database, 'focusSlot')
   };
-  
-  const syncOperationId = metrics.startOperation('sync_pages', syncContext);
-  
-  const startTime = Date.now();
-  let created = 0, skipped = 0, errors = 0;
-  
+}
+
+// Build the Notion property payload for a task edited in Supabase. The title is only pushed when
+// the task carries one (API mirroring); the reverse sync view does not select it.
+function buildReversePayload(task, options, mapping) {
+  return {
+    ...(task.title !== undefined ? mapping.buildProperty('title', task.title) : {}),
+    ...mapping.buildProperty('status', matchSelectOption(options.status, task.status)),
+    ...mapping.buildProperty('priority', matchSelectOption(options.priority, task.priority)),
+    ...mapping.buildProperty('focusSlot', matchSelectOption(options.focusSlot, task.focus_slot)),
+    ...mapping.buildProperty('focusDate', task.focus_date),
+    ...mapping.buildProperty('dueDate', task.due_date)
+  };
+}
+
+// Tasks edited in Supabase after their linked Notion page was last synced
+async function getTasksPendingNotionPush() {
+  return await makeApiCall('supabase', 'get_pending_push', async () => {
+    const { data, error } = await supabase
+      .from('tasks_pending_notion_push')
+      .select('task_id, notion_page_id, source, status, priority, focus_slot, focus_date, due_date, updated_at')
+      .order('updated_at', { ascending: true })
+      .limit(config.reverseSync.batchSize);
+
+    if (error) throw error;
+    return data || [];
+  }, { operation: 'get_pending_push' });
+}
+
+// Write a task's values to its linked Notion page and record the page as seen; false in dry run
+async function pushTaskToNotion(task, source, options) {
+  const properties = buildReversePayload(task, options, source.mapping);
+
+  if (flags.dryRun) {
+    logger.info('Dry run: Would push task to Notion', { task_id: task.task_id, page_id: task.notion_page_id });
+    return false;
+  }
+
+  const page = await makeApiCall('notion', 'update_page', async () => {
+    return await notion.pages.update({ page_id: task.notion_page_id, properties });
+  }, { operation: 'push_task', page_id: task.notion_page_id, task_id: task.task_id });
+
+  // Store the hash of the page as we left it so the echo is skipped by the forward pass.
+  // last_seen_at never goes below the task's updated_at so clock skew cannot re-queue it.
+  const seenAt = Math.max(Date.now(), new Date(task.updated_at).getTime());
+  const { hash, fieldHashes } = calculateHash(page.properties, source.mapping);
+  await makeApiCall('supabase', 'update_integration', async () => {
+    const { error } = await supabase
+      .from('integrations_notion')
+      .upsert({
+        notion_page_id: task.notion_page_id,
+        task_id: task.task_id,
+        source: source.key,
+        external_hash: hash,
+        field_hashes: fieldHashes,
+        synced_values: conflictResolver.snapshotFromTask(task),
+        last_seen_at: new Date(seenAt).toISOString()
+      }, { onConflict: 'notion_page_id' });
+    if (error) throw error;
+  });
+  return true;
+}
+
+// Push one task to its linked Notion page now instead of on the next reverse pass (?mirror=true on
+// the tasks API). Returns 'pushed', 'dry_run' or 'not_linked' (no page, or the page is orphaned).
+async function mirrorTaskToNotion(taskId) {
+  const link = await makeApiCall('supabase', 'get_task_link', async () => {
+    const { data, error } = await supabase
+      .from('integrations_notion')
+      .select('notion_page_id, source, orphaned_at')
+      .eq('task_id', taskId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }, { operation: 'get_task_link', task_id: taskId });
+  if (!link || link.orphaned_at) return 'not_linked';
+
+  const task = await makeApiCall('supabase', 'get_task', async () => {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('id, title, status, priority, focus_slot, focus_date, due_date, updated_at')
+      .eq('id', taskId)
+      .single();
+    if (error) throw error;
+    return data;
+  }, { operation: 'get_task', task_id: taskId });
+
+  const source = sources.find(s => s.key === link.source) || sources[0];
+  const pushed = await pushTaskToNotion(
+    { ...task, task_id: task.id, notion_page_id: link.notion_page_id },
+    source,
+    await getSelectOptions(source)
+  );
+  return pushed ? 'pushed' : 'dry_run';
+}
+
+// Reverse sync: push Supabase task edits back into the linked page of whichever source created it
+async function pushTaskChangesToNotion() {
+  const stats = { pushed: 0, errors: 0 };
+  if (!config.reverseSync.enabled) return stats;
+
+  let tasks;
   try {
-    logger.recordSyncStart();
-    logger.info('Sync run starting', syncContext);
-    
-    // Get cursor and query pages
-    metrics.addOperationStep(syncOperationId, 'get_cursor');
-    const sinceISO = flags.since || await getCursor();
-    
-    metrics.addOperationStep(syncOperationId, 'query_notion', { since: sinceISO });
-    const response = await getUpdatedPagesSince(sinceISO);
-    const pages = response.results;
-    
-    if (pages.length === 0) {
-      logger.info('No pages to sync');
-      return metrics.completeOperation(syncOperationId, { 
-        created: 0, skipped: 0, errors: 0, 
-        pages_processed: 0 
+    tasks = await getTasksPendingNotionPush();
+  } catch (error) {
+    // The view ships in sql/create_reverse_sync.sql; stay quiet until it is applied
+    logger.debug('Reverse sync unavailable', { error: error.message });
+    return stats;
+  }
+
+  if (tasks.length === 0) {
+    logger.debug('No Supabase task changes to push');
+    return stats;
+  }
+
+  logger.info('Pushing Supabase task changes to Notion', { tasks_count: tasks.length, dry_run: flags.dryRun });
+  // Select options are loaded lazily, once per source touched by this pass
+  const optionsBySource = new Map();
+
+  for (const task of tasks) {
+    // Links created before sources existed have no source; they belong to the first one
+    const source = sources.find(s => s.key === task.source) || sources[0];
+    const pushOperationId = metrics.startOperation('push_task', {
+      entity_type: 'task',
+      entity_id: task.task_id,
+      notion_page_id: task.notion_page_id,
+      source: source.key
+    });
+
+    try {
+      if (!optionsBySource.has(source.key)) {
+        optionsBySource.set(source.key, await getSelectOptions(source));
+      }
+      const pushed = await pushTaskToNotion(task, source, optionsBySource.get(source.key));
+      if (!pushed) {
+        metrics.completeOperation(pushOperationId, { dry_run: true });
+        continue;
+      }
+
+      metrics.completeOperation(pushOperationId, { pushed: true });
+      stats.pushed++;
+
+    } catch (error) {
+      metrics.failOperation(pushOperationId, error);
+      if (error instanceof CircuitOpenError) throw error;
+      logger.error('Failed to push task to Notion', {
+        task_id: task.task_id,
+        page_id: task.notion_page_id,
+        error: error.message
       });
+      stats.errors++;
     }
-    
-    logger.info('Starting sync batch', { 
-      pages_count: pages.length,
-      since: sinceISO,
-      dry_run: flags.dryRun
-    });
-    
-    metrics.addOperationStep(syncOperationId, 'process_pages', { page_count: pages.length });
-    
-    // Process pages with detailed tracking
-    for (let i = 0; i < pages.length; i++) {
-      const page = pages[i];
-      const pageOperationId = metrics.startOperation('process_page', {
-        entity_type: 'page',
-        notion_page_id: page.id,
-        page_number: i + 1,
-        total_pages: pages.length
+  }
+
+  return stats;
+}
+
+// Check whether a linked Notion page still exists: 'active', 'archived', 'in_trash' or 'not_found'
+async function getNotionPageState(pageId) {
+  try {
+    const page = await makeApiCall('notion', 'retrieve_page', async () => {
+      return await notion.pages.retrieve({ page_id: pageId });
+    }, { operation: 'retrieve_page', page_id: pageId });
+
+    if (page.in_trash) return 'in_trash';
+    if (page.archived) return 'archived';
+    return 'active';
+  } catch (error) {
+    if (error.code === 'object_not_found' || error.status === 404) return 'not_found';
+    throw error;
+  }
+}
+
+// Apply the configured ORPHAN_ACTION to a task whose Notion page is gone
+async function handleOrphanedTask(link, pageState) {
+  const action = config.reconcile.action;
+  const operationId = metrics.startOperation('reconcile_orphan', {
+    title: `Orphaned task ${action}`,
+    entity_type: 'task',
+    entity_id: link.task_id,
+    notion_page_id: link.notion_page_id,
+    page_state: pageState,
+    action,
+    dry_run: flags.dryRun
+  });
+
+  try {
+    if (flags.dryRun) {
+      logger.info('Dry run: Would reconcile orphaned task', {
+        task_id: link.task_id, page_id: link.notion_page_id, page_state: pageState, action
       });
-      
-      try {
-        const props = extractProperties(page);
-        const hash = calculateHash(page.properties);
-        
-        metrics.addOperationStep(pageOperationId, 'extract_properties', {
-          title: props.title,
-          area: props.area,
-          priority: props.priority
-        });
-        
-        // Skip validation - require Domain, Venture, AND Priority
-        if (!props.domain) {
-          logger.debug('Skipping page without domain', { 
-            page_id: page.id, 
-            title: props.title 
-          });
-          metrics.completeOperation(pageOperationId, { skipped: true, reason: 'missing_domain' });
-          skipped++;
-          continue;
-        }
-        
-        if (!props.venture) {
-          logger.debug('Skipping page without venture', { 
-            page_id: page.id, 
-            title: props.title,
-            domain: props.domain 
-          });
-          metrics.completeOperation(pageOperationId, { skipped: true, reason: 'missing_venture' });
-          skipped++;
-          continue;
+      return metrics.completeOperation(operationId, { dry_run: true });
+    }
+
+    const now = new Date().toISOString();
+
+    if (action === 'hard_delete') {
+      await makeApiCall('supabase', 'delete_task', async () => {
+        const { error: linkError } = await supabase
+          .from('integrations_notion')
+          .delete()
+          .eq('notion_page_id', link.notion_page_id);
+        if (linkError) throw linkError;
+
+        if (link.task_id) {
+          const { error } = await supabase.from('tasks').delete().eq('id', link.task_id);
+          if (error) throw error;
         }
-        
-        if (!props.priority) {
-          logger.debug('Skipping page without priority', { 
-            page_id: page.id, 
-            title: props.title,
-            domain: props.domain,
-            venture: props.venture 
-          });
-          metrics.completeOperation(pageOperationId, { skipped: true, reason: 'missing_priority' });
-          skipped++;
-          continue;
+      }, { operation: 'delete_task', task_id: link.task_id });
+    } else {
+      const taskUpdate = action === 'soft_delete'
+        ? { archived_at: now, updated_at: now }
+        : { status: 'On Hold', updated_at: now };
+
+      await makeApiCall('supabase', 'orphan_task', async () => {
+        if (link.task_id) {
+          const { error } = await supabase.from('tasks').update(taskUpdate).eq('id', link.task_id);
+          if (error) throw error;
         }
-        
-        if (props.linked && props.supabaseTaskId) {
-          const needUpdate = await needsSync(page.id, hash);
-          if (!needUpdate) {
-            logger.debug('Page already synced', { page_id: page.id });
-            metrics.completeOperation(pageOperationId, { skipped: true, reason: 'already_synced' });
-            skipped++;
-            continue;
+
+        // orphaned_at keeps the row out of later passes and out of the reverse sync view
+        const { error: linkError } = await supabase
+          .from('integrations_notion')
+          .update({ orphaned_at: now, last_seen_at: now })
+          .eq('notion_page_id', link.notion_page_id);
+        if (linkError) throw linkError;
+      }, { operation: 'orphan_task', task_id: link.task_id, action });
+    }
+
+    logger.info('Reconciled orphaned task', {
+      task_id: link.task_id,
+      page_id: link.notion_page_id,
+      page_state: pageState,
+      action
+    });
+    return metrics.completeOperation(operationId, { reconciled: true });
+
+  } catch (error) {
+    metrics.failOperation(operationId, error);
+    throw error;
+  }
+}
+
+// Reconciliation pass: walk integrations_notion and act on archived, trashed or deleted pages
+async function reconcileArchivedPages() {
+  const operationId = metrics.startOperation('reconcile_pages', {
+    entity_type: 'sync',
+    action: config.reconcile.action,
+    dry_run: flags.dryRun
+  });
+  const stats = { checked: 0, orphaned: 0, errors: 0 };
+
+  try {
+    logger.info('Reconciliation starting', { action: config.reconcile.action, dry_run: flags.dryRun });
+
+    // Keyset pagination: handled rows drop out of the orphaned_at filter, so offsets would skip rows
+    let lastPageId = '';
+    while (true) {
+      const links = await makeApiCall('supabase', 'list_integrations', async () => {
+        const { data, error } = await supabase
+          .from('integrations_notion')
+          .select('notion_page_id, task_id')
+          .is('orphaned_at', null)
+          .gt('notion_page_id', lastPageId)
+          .order('notion_page_id', { ascending: true })
+          .limit(config.reconcile.batchSize);
+
+        if (error) throw error;
+        return data || [];
+      }, { operation: 'list_integrations' });
+
+      for (const link of links) {
+        stats.checked++;
+        try {
+          const pageState = await getNotionPageState(link.notion_page_id);
+          if (pageState !== 'active') {
+            await handleOrphanedTask(link, pageState);
+            stats.orphaned++;
           }
+        } catch (error) {
+          // Service down: stop here, the next reconciliation run starts over
+          if (error instanceof CircuitOpenError) throw error;
+          logger.error('Failed to reconcile page', { page_id: link.notion_page_id, error: error.message });
+          stats.errors++;
         }
+      }
+
+      if (links.length < config.reconcile.batchSize) break;
+      lastPageId = links[links.length - 1].notion_page_id;
+    }
+
+    logger.info('Reconciliation completed', stats);
+    return metrics.completeOperation(operationId, stats);
+
+  } catch (error) {
+    logger.error('Reconciliation failed', { error: error.message, ...stats });
+    return metrics.failOperation(operationId, error, stats);
+  }
+}
+
+// Process one Notion page of a source; returns 'created', 'updated', 'skipped' or 'error'
+async function processPage(source, page, index, total) {
+  const pageOperationId = metrics.startOperation('process_page', {
+    entity_type: 'page',
+    notion_page_id: page.id,
+    source: source.key,
+    page_number: index + 1,
+    total_pages: total
+  });
+  
+  try {
+    const props = await extractProperties(page, source);
+    const { hash, fieldHashes: pageFieldHashes } = calculateHash(page.properties, source.mapping);
+    
+    metrics.addOperationStep(pageOperationId, 'extract_properties', {
+      title: props.title,
+      area: props.area,
+      priority: props.priority
+    });
+    
+    // Validation stage: missing Domain/Venture/Priority or an unknown venture skip the page;
+    // the reasons are reported back on the page (Sync State / Sync Errors)
+    metrics.addOperationStep(pageOperationId, 'validate');
+    const validation = pageValidator.validate(props);
+    if (validation.blocking) {
+      logger.info('Skipping page that failed validation', { 
+        page_id: page.id, 
+        title: props.title,
+        reasons: validation.issues.map(issue => issue.code)
+      });
+      rejectedPages.push({
+        source: source.key,
+        page_id: page.id,
+        title: props.title,
+        reasons: validation.issues.filter(issue => issue.blocking).map(issue => issue.message)
+      });
+      await writeValidationReport(page, source, validation.issues, { skipped: true });
+      metrics.completeOperation(pageOperationId, {
+        skipped: true,
+        reason: validation.issues.find(issue => issue.blocking).code,
+        issues: validation.issues
+      });
+      return 'skipped';
+    }
+    
+    // Body edits do not change the property hash, so with SYNC_PAGE_BODY the body is fetched
+    // and compared by its own hash (integrations_notion.body_hash)
+    let body = null;
+    if (config.body.enabled) {
+      metrics.addOperationStep(pageOperationId, 'fetch_body');
+      body = await fetchPageBody(page.id);
+    }
+    
+    let integration = null;
+    if (props.linked && props.supabaseTaskId) {
+      integration = await getIntegration(page.id);
+      const bodyChanged = !!body && integration?.body_hash !== body.hash;
+      if (integration?.external_hash === hash && !flags.force) {
+        if (bodyChanged) {
+          await writeTaskBody(integration.task_id, page.id, body);
+          logger.info('Task notes updated', { page_id: page.id, task_id: integration.task_id, changed_fields: ['body'] });
+          metrics.completeOperation(pageOperationId, { updated: true, task_id: integration.task_id, changed_fields: ['body'] });
+          return 'updated';
+        }
+        logger.debug('Page already synced', { page_id: page.id });
+        metrics.completeOperation(pageOperationId, { skipped: true, reason: 'already_synced' });
+        return 'skipped';
+      }
+      
+      // Hash from an older HASH_VERSION: if the page still matches it under that version's
+      // formula nothing changed, so only the stored hash is migrated (no RPC, no Notion write)
+      const storedVersion = hashVersion(integration?.external_hash);
+      if (integration?.external_hash && storedVersion !== HASH_VERSION && !flags.force &&
+          calculateHash(page.properties, source.mapping, storedVersion).hash === integration.external_hash) {
+        await rehashIntegration(page.id, hash, pageFieldHashes);
+        logger.debug('Page hash migrated', { page_id: page.id, from_version: storedVersion, to_version: HASH_VERSION });
+        if (bodyChanged) {
+          await writeTaskBody(integration.task_id, page.id, body);
+          metrics.completeOperation(pageOperationId, { updated: true, task_id: integration.task_id, changed_fields: ['body'] });
+          return 'updated';
+        }
+        metrics.completeOperation(pageOperationId, { skipped: true, reason: 'rehashed' });
+        return 'skipped';
+      }
+    }
+    const changed = changedFields(integration?.field_hashes, pageFieldHashes);
+    
+    // Create/update task
+    metrics.addOperationStep(pageOperationId, 'create_task');
+    // Normalize focusSlot against focus_slots and value_aliases
+    const { value: normalizedFocusSlot } = normalizer.resolve('focus_slot', props.focusSlot, { source: source.key, ref: page.id });
+    const focusSlotIssue = pageValidator.focusSlotIssue(props.focusSlot, normalizedFocusSlot);
+    if (focusSlotIssue) validation.issues.push(focusSlotIssue);
+    // The RPC gets the resolved venture slug rather than the raw select name
+    const ventureSlug = validation.venture?.slug || props.venture;
+    let taskProps = { ...props, venture: ventureSlug, area: ventureSlug, focusSlot: normalizedFocusSlot };
+    let snapshot = conflictResolver.snapshotFromProps(taskProps);
+    let pushToNotion = false;
+    
+    // Diff Notion and Supabase against the last-synced snapshot so Supabase edits are not lost
+    if (integration?.synced_values && integration.task_id) {
+      metrics.addOperationStep(pageOperationId, 'detect_conflicts');
+      const task = await getTaskForConflictCheck(integration.task_id);
+      if (task) {
+        const outcome = conflictResolver.evaluate(integration.synced_values, taskProps, task, {
+          notionEditedAt: page.last_edited_time
+        });
+        taskProps = { ...taskProps, ...outcome.values };
+        snapshot = outcome.snapshot;
+        pushToNotion = outcome.pushToNotion;
         
-        // Create/update task
-        metrics.addOperationStep(pageOperationId, 'create_task');
-        // Resolve focusSlot against DB just-in-time
-        const normalizedFocusSlot = await mapFocusSlotAsync(props.focusSlot);
-        const result = await createTaskInSupabase({ ...props, focusSlot: normalizedFocusSlot }, page.id, hash);
-        
-        if (result?.task_id) {
-          // Update integration record
-          metrics.addOperationStep(pageOperationId, 'update_integration');
-          if (!flags.dryRun) {
-            await makeApiCall('supabase', 'update_integration', async () => {
-              await supabase
-                .from('integrations_notion')
-                .upsert({
-                  notion_page_id: page.id,
-                  task_id: result.task_id,
-                  external_hash: hash,
-                  last_seen_at: new Date().toISOString()
-                }, { onConflict: 'notion_page_id' });
-            });
-          }
-          
-          // Update Notion page only if needed to avoid bumping last_edited_time unnecessarily
-          const needNotionUpdate = props.supabaseTaskId !== result.task_id || !props.linked;
-          if (needNotionUpdate) {
-            metrics.addOperationStep(pageOperationId, 'update_notion_page');
-            await updateNotionPage(page.id, result.task_id);
-          } else {
-            metrics.addOperationStep(pageOperationId, 'skip_update_notion_page', { reason: 'already_linked' });
-          }
+        if (outcome.unresolved.length > 0 && !flags.dryRun) {
+          await makeApiCall('supabase', 'record_conflicts', async () => {
+            await conflictResolver.recordConflicts(task.id, page.id, outcome.unresolved);
+          }, { operation: 'record_conflicts', task_id: task.id });
+        }
+      }
+    }
+    
+    const result = await createTaskInSupabase(taskProps, page.id, hash);
+    let outcome = 'skipped';
+    
+    if (result?.task_id) {
+      // Update integration record
+      metrics.addOperationStep(pageOperationId, 'update_integration');
+      if (!flags.dryRun) {
+        await makeApiCall('supabase', 'update_integration', async () => {
+          const { error } = await supabase
+            .from('integrations_notion')
+            .upsert({
+              notion_page_id: page.id,
+              task_id: result.task_id,
+              source: source.key,
+              external_hash: hash,
+              field_hashes: pageFieldHashes,
+              synced_values: snapshot,
+              // Leave last_seen_at behind the task so the reverse pass pushes kept Supabase values
+              last_seen_at: pushToNotion ? integration.last_seen_at : new Date().toISOString(),
+              orphaned_at: null
+            }, { onConflict: 'notion_page_id' });
+          if (error) throw error;
           
-          logger.info('Task processed', { 
-            title: props.title,
-            task_id: result.task_id,
-            area: props.area,
-            priority: props.priority
+          // Normalized payload of this sync, versioned per page (sql/create_task_history.sql)
+          const { error: snapshotError } = await supabase.rpc('record_page_snapshot', {
+            p_notion_page_id: page.id,
+            p_source: source.key,
+            p_task_id: result.task_id,
+            p_hash: hash,
+            p_properties: snapshotPayload(taskProps),
+            p_keep: config.snapshots.keep
           });
+          if (snapshotError) throw snapshotError;
           
-          metrics.completeOperation(pageOperationId, { 
-            created: !!result?.created,
-            updated: !!result?.updated,
-            task_id: result.task_id 
-          });
-          if (result?.created) created++;
+          // Page came back from the archive/trash: undo a previous soft delete
+          if (integration?.orphaned_at) {
+            const { error: restoreError } = await supabase
+              .from('tasks')
+              .update({ archived_at: null })
+              .eq('id', result.task_id);
+            if (restoreError) throw restoreError;
+            logger.info('Restored task for un-archived Notion page', { page_id: page.id, task_id: result.task_id });
+          }
+        });
+      }
+      
+      // Body of a page that changed, of a new link (no integration row before), or --force
+      if (body && (flags.force || integration?.body_hash !== body.hash)) {
+        metrics.addOperationStep(pageOperationId, 'update_notes');
+        await writeTaskBody(result.task_id, page.id, body);
+      }
+      
+      // Update Notion page only if needed to avoid bumping last_edited_time unnecessarily
+      // The validation report (warnings, or a cleared report) rides along with the link update
+      const needNotionUpdate = props.supabaseTaskId !== result.task_id || !props.linked;
+      if (needNotionUpdate) {
+        metrics.addOperationStep(pageOperationId, 'update_notion_page');
+        const reportProperties = PageValidator.reportProperties(
+          source.mapping, page, PageValidator.summarize(validation.issues, false)
+        );
+        await updateNotionPage(page.id, result.task_id, source.mapping, reportProperties);
+      } else {
+        metrics.addOperationStep(pageOperationId, 'skip_update_notion_page', { reason: 'already_linked' });
+        await writeValidationReport(page, source, validation.issues, { skipped: false });
+      }
+      
+      logger.info('Task processed', { 
+        title: props.title,
+        task_id: result.task_id,
+        source: source.key,
+        area: props.area,
+        priority: props.priority,
+        changed_fields: changed
+      });
+      
+      metrics.completeOperation(pageOperationId, { 
+        created: !!result?.created,
+        updated: !!result?.updated,
+        task_id: result.task_id,
+        changed_fields: changed
+      });
+      outcome = result?.created ? 'created' : 'updated';
+    }
+    
+    if (index % 10 === 0) metrics.recordMemoryUsage();
+    return outcome;
+    
+  } catch (error) {
+    metrics.failOperation(pageOperationId, error);
+    // A service is down: stop the run instead of failing every remaining page
+    if (error instanceof CircuitOpenError) throw error;
+    
+    logger.error('Failed to process page', { 
+      page_id: page.id,
+      source: source.key,
+      error: error.message,
+      error_kind: classifyError(error).kind,
+      stack: error.stack
+    });
+    return await recordPageFailure(source, page, error);
+  }
+}
+
+// Page outcomes: done ones let the cursor move past the page; 'error' (retry pending) and
+// 'deferred' (backoff running) hold it; 'abandoned' and 'dead' gave up and no longer hold it
+const PAGE_DONE_OUTCOMES = ['created', 'updated', 'skipped'];
+const CURSOR_HOLD_OUTCOMES = ['error', 'deferred'];
+
+function tallyOutcome(stats, outcome) {
+  if (outcome === 'created') stats.created++;
+  else if (outcome === 'skipped') stats.skipped++;
+  else if (outcome === 'error' || outcome === 'abandoned') stats.errors++;
+  else if (outcome === 'deferred' || outcome === 'dead') stats.deferred++;
+}
+
+// Store a page failure for retry; returns 'abandoned' when the page just ran out of attempts
+async function recordPageFailure(source, page, error) {
+  if (flags.dryRun) return 'error';
+  
+  try {
+    const failure = await makeApiCall('supabase', 'record_failure', async () => {
+      return await failureTracker.recordFailure(source.key, page, error);
+    }, { operation: 'record_failure', page_id: page.id, source: source.key });
+    return failure.status === 'dead' ? 'abandoned' : 'error';
+  } catch (recordError) {
+    // Not recorded: the page keeps holding the cursor, so the next run picks it up again
+    logger.error('Could not record sync failure', { page_id: page.id, error: recordError.message });
+    return 'error';
+  }
+}
+
+// Process a page that may have an open sync_failures row: hold it back while its backoff
+// runs (unless ignoreBackoff), and mark the failure resolved once the page goes through
+async function processPageWithFailure(source, page, index, total, failure, { ignoreBackoff = false } = {}) {
+  const skipReason = ignoreBackoff ? null : failureTracker.skipReason(failure, page);
+  if (skipReason) {
+    logger.debug('Skipping previously failed page', { page_id: page.id, reason: skipReason, next_retry_at: failure.next_retry_at });
+    return skipReason;
+  }
+  
+  const outcome = await processPage(source, page, index, total);
+  if (failure && PAGE_DONE_OUTCOMES.includes(outcome) && !flags.dryRun) {
+    try {
+      await makeApiCall('supabase', 'resolve_failure', async () => {
+        await failureTracker.markResolved(page.id);
+      }, { operation: 'resolve_failure', page_id: page.id });
+      logger.info('Previously failed page synced', { page_id: page.id, source: source.key, attempts: failure.attempts });
+    } catch (error) {
+      logger.warn('Could not mark sync failure resolved', { page_id: page.id, error: error.message });
+    }
+  }
+  return outcome;
+}
+
+// Open failures of a source; empty until sql/create_sync_failures.sql is applied
+async function loadOpenFailures(source) {
+  try {
+    return await makeApiCall('supabase', 'get_failures', async () => {
+      return await failureTracker.openFailures(source.key);
+    }, { operation: 'get_failures', source: source.key });
+  } catch (error) {
+    logger.debug('Sync failure tracking unavailable', { source: source.key, error: error.message });
+    return new Map();
+  }
+}
+
+// Write the values no normalization rule matched to unknown_values; returns how many distinct
+// values were seen. Reporting is best-effort and never fails a run.
+async function flushUnknownValues() {
+  if (flags.dryRun) {
+    const entries = normalizer.unknownReport();
+    normalizer.unknown.clear();
+    if (entries.length > 0) logger.info('Dry run: Would record unknown values', { unknown_values: entries });
+    return entries.length;
+  }
+  try {
+    const entries = await normalizer.flushUnknown();
+    if (entries.length > 0) logger.info('Unknown values recorded', { unknown_values: entries });
+    return entries.length;
+  } catch (error) {
+    logger.warn('Could not record unknown values', { error: error.message });
+    return 0;
+  }
+}
+
+// Retry failed pages by ID. Runs for due failures at the start of each sync, and on demand
+// (--retry-failures, POST /api/sync/failures/retry) for every open failure regardless of backoff.
+async function retryFailedPages({ onDemand = false, pageId = null } = {}) {
+  const stats = { retried: 0, recovered: 0, failed: 0, gone: 0 };
+  
+  let failures;
+  try {
+    failures = await makeApiCall('supabase', 'get_failures', async () => {
+      return onDemand
+        ? await failureTracker.retryCandidates(pageId)
+        : await failureTracker.dueFailures(config.failures.retryBatchSize);
+    }, { operation: 'get_failures' });
+  } catch (error) {
+    logger.debug('Sync failure tracking unavailable', { error: error.message });
+    return stats;
+  }
+  
+  if (failures.length === 0) return stats;
+  logger.info('Retrying failed pages', { count: failures.length, on_demand: onDemand });
+  // On-demand retries run outside a sync run
+  if (onDemand) await referenceCache.get();
+  
+  for (let i = 0; i < failures.length; i++) {
+    syncLock.checkLease();
+    const failure = failures[i];
+    const source = sources.find(s => s.key === failure.source);
+    if (!source) {
+      logger.warn('Skipping failure of an unknown source', { page_id: failure.notion_page_id, source: failure.source });
+      continue;
+    }
+    
+    let page = null;
+    try {
+      page = await makeApiCall('notion', 'retrieve_page', async () => {
+        return await notion.pages.retrieve({ page_id: failure.notion_page_id });
+      }, { operation: 'retry_failure', page_id: failure.notion_page_id });
+    } catch (error) {
+      if (error instanceof CircuitOpenError) throw error;
+      if (error.code !== 'object_not_found') {
+        await recordPageFailure(source, { id: failure.notion_page_id, last_edited_time: failure.page_edited_at }, error);
+        stats.failed++;
+        continue;
+      }
+    }
+    
+    // Nothing left to sync: orphan reconciliation takes care of the linked task, if any
+    if (!page || page.archived || page.in_trash) {
+      if (!flags.dryRun) {
+        await makeApiCall('supabase', 'resolve_failure', async () => {
+          await failureTracker.markResolved(failure.notion_page_id);
+        }, { operation: 'resolve_failure', page_id: failure.notion_page_id });
+      }
+      stats.gone++;
+      continue;
+    }
+    
+    stats.retried++;
+    const outcome = await processPageWithFailure(source, page, i, failures.length, failure, { ignoreBackoff: true });
+    if (PAGE_DONE_OUTCOMES.includes(outcome)) stats.recovered++;
+    else stats.failed++;
+  }
+  
+  // A sync run flushes its own unknown values at the end
+  if (onDemand) stats.unknown_values = await flushUnknownValues();
+  logger.info('Failed page retry complete', stats);
+  return stats;
+}
+
+// Forward sync of one source database: stream pages edited since its cursor and advance
+// the cursor after each fully processed batch
+async function syncSource(source, syncOperationId, progress) {
+  const stats = { pages: 0, created: 0, skipped: 0, errors: 0, deferred: 0, batches: 0 };
+  
+  metrics.addOperationStep(syncOperationId, 'get_cursor', { source: source.key });
+  const state = await getSyncState(source);
+  const sinceISO = flags.since || state?.last_synced_at || new Date(Date.now() - 3600000).toISOString();
+  stats.since = sinceISO;
+  
+  const failures = await loadOpenFailures(source);
+  // Set at the first page left unfinished; the cursor never moves past it
+  let heldAt = null;
+  
+  logger.info('Starting sync', { source: source.key, since: sinceISO, open_failures: failures.size, dry_run: flags.dryRun });
+  metrics.addOperationStep(syncOperationId, 'query_notion', { source: source.key, since: sinceISO });
+  
+  for await (const { pages } of iterateUpdatedPages(source, sinceISO)) {
+    if (pages.length === 0) continue;
+    syncLock.checkLease();
+    stats.batches++;
+    progress.pages_total += pages.length;
+    
+    metrics.addOperationStep(syncOperationId, 'process_batch', {
+      source: source.key,
+      batch: stats.batches,
+      page_count: pages.length
+    });
+    
+    const outcomes = await runPool(pages, config.sync.concurrency, async (page, i) => {
+      const outcome = await processPageWithFailure(source, page, stats.pages + i, null, failures.get(page.id));
+      progress.pages_done++;
+      return outcome;
+    });
+    
+    // Batches arrive oldest edit first, so the cursor can take the newest edit of the pages
+    // finished before the first unfinished one. Outcomes are in page order whatever order the
+    // workers finished in, so the result does not depend on timing.
+    let latestTimestamp = 0;
+    for (let i = 0; i < pages.length; i++) {
+      const page = pages[i];
+      const outcome = outcomes[i];
+      tallyOutcome(stats, outcome);
+      
+      if (CURSOR_HOLD_OUTCOMES.includes(outcome)) {
+        heldAt = heldAt || page.last_edited_time;
+      } else if (!heldAt) {
+        latestTimestamp = Math.max(latestTimestamp, new Date(page.last_edited_time).getTime());
+      }
+    }
+    stats.pages += pages.length;
+    
+    if (latestTimestamp > 0 && !flags.dryRun) {
+      await setCursor(source, new Date(latestTimestamp).toISOString(), state?.cursor_data);
+    }
+  }
+  
+  if (stats.pages === 0) {
+    logger.info('No pages to sync', { source: source.key });
+  }
+  if (heldAt) {
+    stats.cursor_held_at = heldAt;
+    logger.info('Cursor held at an unfinished page', { source: source.key, held_at: heldAt });
+  }
+  
+  return stats;
+}
+
+// Backfill one source: walk the whole database batch by batch, checkpointing Notion's
+// start_cursor after each batch so an interrupted run resumes where it stopped
+async function backfillSource(source, operationId) {
+  const state = await getSyncState(source);
+  const checkpoint = state?.cursor_data?.backfill || null;
+  const failures = await loadOpenFailures(source);
+  const stats = { pages: 0, created: 0, skipped: 0, errors: 0, deferred: 0, batches: 0, resumed: !!checkpoint?.start_cursor };
+  
+  const startedAt = checkpoint?.started_at || new Date().toISOString();
+  let pagesDone = checkpoint?.pages_done || 0;
+  
+  if (stats.resumed) {
+    logger.info('Resuming backfill from checkpoint', { source: source.key, pages_done: pagesDone, started_at: startedAt });
+  }
+  
+  const walk = async (startCursor) => {
+    for await (const { pages, nextCursor } of iterateAllPages(source, startCursor)) {
+      syncLock.checkLease();
+      metrics.addOperationStep(operationId, 'backfill_batch', { source: source.key, pages_done: pagesDone });
+      
+      // Failed pages are left to sync_failures retries; the walk itself never stops on them
+      const outcomes = await runPool(pages, config.sync.concurrency, (page, i) => {
+        return processPageWithFailure(source, page, pagesDone + i, null, failures.get(page.id), { ignoreBackoff: flags.force });
+      });
+      outcomes.forEach(outcome => tallyOutcome(stats, outcome));
+      
+      pagesDone += pages.length;
+      stats.pages += pages.length;
+      stats.batches++;
+      
+      await setBackfillCheckpoint(source, state, nextCursor
+        ? { started_at: startedAt, start_cursor: nextCursor, pages_done: pagesDone, updated_at: new Date().toISOString() }
+        : null);
+      
+      logger.info('Backfill batch complete', { source: source.key, batch_pages: pages.length, pages_done: pagesDone, has_more: !!nextCursor });
+    }
+  };
+  
+  try {
+    await walk(checkpoint?.start_cursor || null);
+  } catch (error) {
+    // A stored cursor Notion no longer accepts: start over rather than get stuck
+    if (error.code !== 'validation_error' || !stats.resumed || stats.batches > 0) throw error;
+    logger.warn('Backfill checkpoint rejected by Notion, restarting from the beginning', { source: source.key, error: error.message });
+    pagesDone = 0;
+    stats.resumed = false;
+    await walk(null);
+  }
+  
+  stats.pages_total = pagesDone;
+  return stats;
+}
+
+// Full resync of every source (--backfill); combine with --force to bypass the hash check
+async function backfillPages() {
+  const context = {
+    entity_type: 'sync',
+    dry_run: flags.dryRun,
+    force: flags.force,
+    correlation_id: logger.generateCorrelationId()
+  };
+  const operationId = metrics.startOperation('backfill_pages', context);
+  const startTime = Date.now();
+  const sourceStats = {};
+  
+  try {
+    logger.info('Backfill starting', { ...context, sources: sources.map(s => s.key) });
+    notionLookup.clearPageTitles();
+    rejectedPages.length = 0;
+    await referenceCache.get();
+    
+    for (const source of sources) {
+      sourceStats[source.key] = await backfillSource(source, operationId);
+      lastSourceStats[source.key] = { ...sourceStats[source.key], completed_at: new Date().toISOString() };
+    }
+    
+    const totals = Object.values(sourceStats).reduce((sum, s) => ({
+      pages: sum.pages + s.pages,
+      created: sum.created + s.created,
+      skipped: sum.skipped + s.skipped,
+      errors: sum.errors + s.errors
+    }), { pages: 0, created: 0, skipped: 0, errors: 0 });
+    
+    const duration = Date.now() - startTime;
+    const summary = {
+      ...context,
+      pages_processed: totals.pages,
+      tasks_created: totals.created,
+      pages_skipped: totals.skipped,
+      errors_count: totals.errors,
+      unknown_values: await flushUnknownValues(),
+      pages_rejected: rejectedPages.length,
+      ...(flags.dryRun ? { rejected_pages: [...rejectedPages] } : {}),
+      sources: sourceStats,
+      duration_ms: duration,
+      duration_human: logger.formatDuration(duration)
+    };
+    
+    logger.info('Backfill completed', summary);
+    return metrics.completeOperation(operationId, summary);
+    
+  } catch (error) {
+    // The checkpoint of the last finished batch is kept; rerun --backfill to resume
+    logger.error('Backfill interrupted', { error: error.message, sources: sourceStats });
+    return metrics.failOperation(operationId, error, { sources: sourceStats });
+  }
+}
+
+// Main sync function with comprehensive metrics
+// progress (see newSyncProgress) is updated as the run goes, for sync job polling
+async function syncPages({ progress = newSyncProgress() } = {}) {
+  // Generate correlation ID for this sync run
+  const correlationId = logger.generateCorrelationId();
+  const syncContext = {
+    entity_type: 'sync',
+    dry_run: flags.dryRun,
+    correlation_id: correlationId
+  };
+  
+  const syncOperationId = metrics.startOperation('sync_pages', syncContext);
+  
+  const startTime = Date.now();
+  let pagesProcessed = 0, created = 0, skipped = 0, errors = 0;
+  const sourceStats = {};
+  
+  try {
+    logger.recordSyncStart();
+    logger.info('Sync run starting', { ...syncContext, sources: sources.map(s => s.key) });
+    notionLookup.clearPageTitles();
+    rejectedPages.length = 0;
+    progress.sources_total = sources.length;
+    await referenceCache.get();
+    
+    // Set when a circuit breaker is open or the sync lease was lost: the run stops cleanly
+    // and every cursor stays at its last fully processed batch
+    let stoppedBy = null;
+    const stopOnOpenCircuit = (error) => {
+      if (!(error instanceof CircuitOpenError || error instanceof SyncBusyError)) throw error;
+      stoppedBy = error;
+    };
+    
+    // Failed pages whose backoff elapsed go first, fetched by ID
+    metrics.addOperationStep(syncOperationId, 'retry_failures');
+    progress.phase = 'retry_failures';
+    let retryStats = { retried: 0, recovered: 0 };
+    try {
+      retryStats = await retryFailedPages();
+    } catch (error) {
+      stopOnOpenCircuit(error);
+    }
+    
+    // Sources are independent: one failing database does not stop the others
+    for (const source of sources) {
+      if (stoppedBy) break;
+      progress.phase = `source:${source.key}`;
+      try {
+        const stats = await syncSource(source, syncOperationId, progress);
+        sourceStats[source.key] = stats;
+      } catch (error) {
+        if (error instanceof CircuitOpenError || error instanceof SyncBusyError) {
+          stoppedBy = error;
+        } else {
+          logger.error('Source sync failed', { source: source.key, error: error.message });
         }
-        
-        // Rate limiting and memory tracking
-        await sleep(config.rateLimit.supabaseDelay);
-        if (i % 10 === 0) metrics.recordMemoryUsage();
-        
+        sourceStats[source.key] = { pages: 0, created: 0, skipped: 0, errors: stoppedBy ? 0 : 1, error: error.message };
+      }
+      
+      const stats = sourceStats[source.key];
+      pagesProcessed += stats.pages;
+      created += stats.created;
+      skipped += stats.skipped;
+      errors += stats.errors;
+      lastSourceStats[source.key] = { ...stats, completed_at: new Date().toISOString() };
+      progress.sources_done++;
+    }
+    
+    // Reverse pass runs after the forward pass so freshly synced pages are not echoed back
+    let pushStats = { pushed: 0, errors: 0 };
+    if (!stoppedBy) {
+      metrics.addOperationStep(syncOperationId, 'push_to_notion');
+      progress.phase = 'push_to_notion';
+      try {
+        syncLock.checkLease();
+        pushStats = await pushTaskChangesToNotion();
       } catch (error) {
-        logger.error('Failed to process page', { 
-          page_id: page.id,
-          error: error.message,
-          stack: error.stack
-        });
-        metrics.failOperation(pageOperationId, error);
-        errors++;
+        stopOnOpenCircuit(error);
       }
     }
     
-    // Update cursor to the max last_edited_time across all processed pages
-    if (pages.length > 0 && !flags.dryRun) {
-      metrics.addOperationStep(syncOperationId, 'update_cursor');
-      const latestTimestamp = pages
-        .map(p => new Date(p.last_edited_time).getTime())
-        .reduce((max, t) => Math.max(max, t), 0);
-      await setCursor(new Date(latestTimestamp).toISOString());
+    if (stoppedBy instanceof SyncBusyError) {
+      logger.error('Sync run stopped: sync lease lost', { reason: stoppedBy.message, correlation_id: correlationId });
+    } else if (stoppedBy) {
+      logger.error('Sync run stopped: service unavailable', {
+        service: stoppedBy.service,
+        retry_at: new Date(stoppedBy.retryAt).toISOString(),
+        correlation_id: correlationId
+      });
     }
     
     const duration = Date.now() - startTime;
     logger.recordSyncComplete(created, skipped, errors);
+    progress.phase = 'done';
     
     const summary = {
       ...syncContext,
-      pages_processed: pages.length,
+      pages_processed: pagesProcessed,
       tasks_created: created,
       pages_skipped: skipped,
       errors_count: errors,
+      tasks_pushed: pushStats.pushed,
+      push_errors: pushStats.errors,
+      failures_retried: retryStats.retried,
+      failures_recovered: retryStats.recovered,
+      stopped_by_circuit: stoppedBy instanceof CircuitOpenError ? stoppedBy.service : null,
+      lease_lost: stoppedBy instanceof SyncBusyError ? stoppedBy.message : null,
+      unknown_values: await flushUnknownValues(),
+      pages_rejected: rejectedPages.length,
+      ...(flags.dryRun ? { rejected_pages: [...rejectedPages] } : {}),
+      sources: sourceStats,
       duration_ms: duration,
       duration_human: logger.formatDuration(duration),
-      success_rate: pages.length > 0 ? Math.round(((created + skipped) / pages.length) * 100) + '%' : '100%'
+      success_rate: pagesProcessed > 0 ? Math.round(((created + skipped) / pagesProcessed) * 100) + '%' : '100%'
     };
     
     logger.info('Sync run completed', summary);
@@ -658,7 +1845,7 @@ async function syncPages() {
       logger.warn('Sync run completed with errors', {
         ...summary,
         alert_reason: 'errors_detected',
-        recommendation: errors > pages.length * 0.2 ? 'Check Notion API or database connectivity' : 'Monitor for patterns'
+        recommendation: errors > pagesProcessed * 0.2 ? 'Check Notion API or database connectivity' : 'Monitor for patterns'
       });
     }
     
@@ -674,213 +1861,581 @@ async function syncPages() {
   }
 }
 
-// Health check server with management APIs
-function startHealthCheckServer() {
-  const server = createServer(async (req, res) => {
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    
-    res.setHeader('Content-Type', 'application/json');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-      res.writeHead(200);
-      res.end();
-      return;
+// Audit entry in ops_logs for a mutating API call, written once the response is sent (denied calls included)
+async function auditApiRequest(req, url, statusCode, apiKey, startedAt) {
+  try {
+    const { error } = await supabase.from('ops_logs').insert({
+      operation: 'api_request',
+      title: `${req.method} ${url.pathname}`,
+      entity_type: 'api_key',
+      entity_id: apiKey?.id || null,
+      metadata: {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        status_code: statusCode,
+        key_id: apiKey?.id || null,
+        key_name: apiKey?.name || null,
+        key_prefix: apiKey?.key_prefix || null,
+        scopes: apiKey?.scopes || null,
+        origin: req.headers.origin || null,
+        remote_address: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress,
+        duration_ms: Date.now() - startedAt
+      },
+      // created_by omitted to be compatible with schemas that use UUID for created_by
+      created_at: new Date().toISOString()
+    });
+    if (error) throw error;
+  } catch (error) {
+    // The call already happened; a missing audit row is logged, not surfaced to the caller
+    logger.warn('Could not write API audit entry', { path: url.pathname, method: req.method, error: error.message });
+  }
+}
+
+// A task with its venture, domain, project and milestone names, or null
+async function getApiTask(taskId) {
+  if (!isUuid(taskId)) return null;
+  return await makeApiCall('supabase', 'get_task', async () => {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select(TASK_SELECT)
+      .eq('id', taskId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }, { operation: 'get_task', task_id: taskId });
+}
+
+// Create (no taskId) or update a task from an API body through create_or_update_task, with the
+// same venture resolution and normalization as a Notion page. Returns the stored task, plus
+// notion_mirror when mirror is set; null when taskId does not exist.
+async function writeApiTask(input, { taskId = null, mirror = false } = {}) {
+  await referenceCache.get();
+
+  let current = null;
+  if (taskId) {
+    current = await getApiTask(taskId);
+    if (!current) return null;
+  }
+
+  const props = taskApi.toProps(input, current);
+  const result = await createTaskInSupabase(props, current?.notion_page_id || null, null, { taskId });
+  const task = flags.dryRun ? { id: result.task_id, ...input } : await getApiTask(result.task_id);
+  logger.info(taskId ? 'Task updated via API' : 'Task created via API', { task_id: result.task_id, fields: Object.keys(input) });
+
+  if (!mirror) return task;
+  // The write already happened: a failed push is reported, and the reverse pass retries it
+  try {
+    return { ...task, notion_mirror: await mirrorTaskToNotion(result.task_id) };
+  } catch (error) {
+    logger.warn('Could not mirror task to Notion', { task_id: result.task_id, error: error.message });
+    return { ...task, notion_mirror: 'failed', notion_mirror_error: error.message };
+  }
+}
+
+// Turn errors from the API modules and Supabase into HttpErrors: input problems are 400 (409 for
+// conflicts) with the issues, a missing row 404; anything else is left for the router's 500
+function mapApiError(error) {
+  if (error instanceof HttpError) return error;
+  if (error instanceof ApiInputError) {
+    return new HttpError(error.status, error.status === 409 ? 'conflict' : 'invalid_request', error.message, { issues: error.issues });
+  }
+  if (error instanceof CircuitOpenError) return new HttpError(503, 'service_unavailable', error.message);
+  // PGRST116: .single() found no row
+  if (error.code === 'P0002' || error.code === 'PGRST116') return new HttpError(404, 'not_found', error.message);
+  if (error.code === '23505') return new HttpError(409, 'conflict', error.message);
+  // Bad UUID or date syntax, date out of range, check constraint
+  if (['22P02', '22007', '22008', '23514'].includes(error.code)) {
+    return new HttpError(400, 'invalid_request', error.message, { db_code: error.code });
+  }
+  return null;
+}
+
+// A row a handler looked up, or a 404
+function found(row, what) {
+  if (!row) throw new HttpError(404, 'not_found', `${what} not found`);
+  return row;
+}
+
+// CORS headers for allowlisted origins only; preflight requests end here
+function corsMiddleware(ctx, next) {
+  const { req, res } = ctx;
+  res.setHeader('Vary', 'Origin');
+  const origin = req.headers.origin;
+  if (origin && (config.api.corsOrigins.includes('*') || config.api.corsOrigins.includes(origin))) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
+  }
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+  return next();
+}
+
+async function requestLogMiddleware(ctx, next) {
+  try {
+    await next();
+  } finally {
+    logger.debug('API request', {
+      method: ctx.req.method,
+      path: ctx.url.pathname,
+      route: ctx.route?.path || null,
+      status_code: ctx.res.statusCode,
+      duration_ms: Date.now() - ctx.startedAt
+    });
+  }
+}
+
+async function errorMappingMiddleware(ctx, next) {
+  try {
+    await next();
+  } catch (error) {
+    throw mapApiError(error) || error;
+  }
+}
+
+// Every mutating call is audited once the response is sent, whatever its outcome
+function auditMiddleware(ctx, next) {
+  const { req, res, url } = ctx;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.on('finish', () => auditApiRequest(req, url, res.statusCode, ctx.state.apiKey || null, ctx.startedAt));
+  }
+  return next();
+}
+
+// Checks the key against the route's scope. A route without a scope option needs admin;
+// scope: null makes it public (/health, for load balancer checks). Unmatched paths fall
+// through to the router's 404/405.
+async function authMiddleware(ctx, next) {
+  const requiredScope = ctx.route ? (ctx.route.scope === undefined ? 'admin' : ctx.route.scope) : null;
+  if (!requiredScope) return next();
+
+  const presented = requestApiKey(ctx.req);
+  let apiKey;
+  try {
+    apiKey = await apiKeys.verify(presented);
+  } catch (error) {
+    logger.error('API key lookup failed', { error: error.message, path: ctx.url.pathname });
+    throw new HttpError(503, 'auth_unavailable', 'Authentication unavailable');
+  }
+
+  if (!apiKey) {
+    ctx.res.setHeader('WWW-Authenticate', 'Bearer');
+    throw new HttpError(401, 'unauthorized', presented ? 'Invalid API key' : 'API key required');
+  }
+  if (!hasScope(apiKey.scopes, requiredScope)) {
+    throw new HttpError(403, 'forbidden', `API key lacks the ${requiredScope} scope`, { required_scope: requiredScope });
+  }
+  ctx.state.apiKey = apiKey;
+  return next();
+}
+
+// Management API routes. Middleware runs in the order added: CORS, request log, error mapping,
+// audit, auth; then the router validates query and body against the route's schemas.
+function buildApiRouter() {
+  const router = new Router(logger, { bodyLimit: config.api.bodyLimitBytes });
+  router
+    .use(corsMiddleware)
+    .use(requestLogMiddleware)
+    .use(errorMappingMiddleware)
+    .use(auditMiddleware)
+    .use(authMiddleware);
+
+  router.get('/health', { scope: null }, (ctx) => {
+    const health = {
+      ...logger.getHealthCheck(),
+      circuit_breakers: Object.fromEntries(Object.entries(breakers).map(([service, breaker]) => [service, breaker.snapshot()]))
+    };
+    // An open breaker means the bridge cannot sync right now
+    if (Object.values(breakers).some(breaker => breaker.state === 'open')) health.status = 'critical';
+    ctx.status = health.status === 'healthy' ? 200 : 503;
+    return health;
+  });
+
+  router.get('/metrics', { scope: 'read' }, () => ({
+    ...logger.getHealthCheck(),
+    performance: metrics.getPerformanceSummary(),
+    active_operations: metrics.getActiveOperations(),
+    sources: lastSourceStats,
+    reference_cache: referenceCache.snapshot(),
+    sync_lock: syncLock.snapshot()
+  }));
+
+  // Manual sync trigger: queues a job and answers at once (202); poll the Location for its status
+  router.post('/api/sync', { scope: 'sync' }, async (ctx) => {
+    const { job, coalesced } = await syncJobs.enqueue({ trigger: 'api', requestedBy: `api_key:${ctx.state.apiKey.name}` });
+    logger.info('Manual sync queued via API', { job_id: job.id, coalesced });
+    ctx.status = 202;
+    ctx.res.setHeader('Location', `/api/sync/jobs/${job.id}`);
+    return { ...job, coalesced };
+  });
+
+  // Status, progress (pages done/total) and, once finished, the summary of a sync job
+  router.get('/api/sync/jobs/:id', { scope: 'read' }, async (ctx) => {
+    if (!isUuid(ctx.params.id)) throw new HttpError(404, 'not_found', 'Sync job not found');
+    return found(await syncJobs.get(ctx.params.id), 'Sync job');
+  });
+
+  // Domains with their ventures
+  router.get('/api/domains', { scope: 'read' }, async () => {
+    const { data, error } = await supabase.from('domains').select('*, ventures:ventures(*)');
+    if (error) throw error;
+    return data;
+  });
+
+  // Ventures with their domain and projects
+  router.get('/api/ventures', { scope: 'read' }, async () => {
+    const { data, error } = await supabase.from('ventures').select('*, domain:domains(*), projects:projects(*)');
+    if (error) throw error;
+    return data;
+  });
+
+  router.post('/api/ventures', { body: SCHEMAS.ventureCreate }, async (ctx) => {
+    const { slug, name, description, domain_slug } = ctx.body;
+    const { data: domain, error: domainError } = await supabase
+      .from('domains')
+      .select('id')
+      .eq('slug', domain_slug)
+      .maybeSingle();
+    if (domainError) throw domainError;
+    if (!domain) throw new HttpError(400, 'invalid_request', 'Domain not found', { domain_slug });
+
+    const { data, error } = await supabase
+      .from('ventures')
+      .insert({ slug, name, description, primary_domain_id: domain.id })
+      .select()
+      .single();
+    if (error) throw error;
+    ctx.status = 201;
+    return data;
+  });
+
+  // Projects with task rollups (?venture=&status=&include_archived=true)
+  router.get('/api/projects', { scope: 'read', query: SCHEMAS.archivedQuery }, async (ctx) => {
+    await referenceCache.get();
+    return projectApi.listProjects(ctx.query);
+  });
+
+  router.post('/api/projects', { body: SCHEMAS.projectCreate }, async (ctx) => {
+    await referenceCache.get();
+    ctx.status = 201;
+    return projectApi.createProject(ctx.body);
+  });
+
+  // With milestones and rollups
+  router.get('/api/projects/:id', { scope: 'read' }, async (ctx) => {
+    await referenceCache.get();
+    return found(await projectApi.getProject(ctx.params.id), 'Project');
+  });
+
+  router.patch('/api/projects/:id', { body: SCHEMAS.projectUpdate }, async (ctx) => {
+    await referenceCache.get();
+    return found(await projectApi.updateProject(ctx.params.id, ctx.body), 'Project');
+  });
+
+  // Archives; tasks keep their link
+  router.delete('/api/projects/:id', async (ctx) => {
+    return found(await projectApi.setArchived('projects', ctx.params.id, true), 'Project');
+  });
+
+  router.post('/api/projects/:id/restore', async (ctx) => {
+    return found(await projectApi.setArchived('projects', ctx.params.id, false), 'Project');
+  });
+
+  // Tasks follow the project to the new venture
+  router.post('/api/projects/:id/move', { body: SCHEMAS.projectMove }, async (ctx) => {
+    await referenceCache.get();
+    return found(await projectApi.moveProject(ctx.params.id, ctx.body), 'Project');
+  });
+
+  // Milestones with task rollups (?project=&status=&include_archived=true)
+  router.get('/api/milestones', { scope: 'read', query: SCHEMAS.archivedQuery }, async (ctx) => {
+    await referenceCache.get();
+    return projectApi.listMilestones(ctx.query);
+  });
+
+  router.post('/api/milestones', { body: SCHEMAS.milestoneCreate }, async (ctx) => {
+    await referenceCache.get();
+    ctx.status = 201;
+    return projectApi.createMilestone(ctx.body);
+  });
+
+  router.get('/api/milestones/:id', { scope: 'read' }, async (ctx) => {
+    await referenceCache.get();
+    return found(await projectApi.getMilestone(ctx.params.id), 'Milestone');
+  });
+
+  router.patch('/api/milestones/:id', { body: SCHEMAS.milestoneUpdate }, async (ctx) => {
+    await referenceCache.get();
+    return found(await projectApi.updateMilestone(ctx.params.id, ctx.body), 'Milestone');
+  });
+
+  router.delete('/api/milestones/:id', async (ctx) => {
+    return found(await projectApi.setArchived('milestones', ctx.params.id, true), 'Milestone');
+  });
+
+  router.post('/api/milestones/:id/restore', async (ctx) => {
+    return found(await projectApi.setArchived('milestones', ctx.params.id, false), 'Milestone');
+  });
+
+  // Failed pages (?status=pending|dead|resolved|all, default pending)
+  router.get('/api/sync/failures', { scope: 'read', query: SCHEMAS.failuresQuery }, (ctx) => {
+    return failureTracker.listFailures(ctx.query.get('status') || 'pending');
+  });
+
+  // Retry open failures now, ignoring backoff: { "notion_page_id": "..." } limits it to one page
+  // Refused while a sync runs here, rather than holding the request until it ends
+  router.post('/api/sync/failures/retry', { scope: 'sync', body: SCHEMAS.failuresRetry }, async (ctx) => {
+    const busy = syncLock.busy();
+    if (busy) throw new HttpError(409, 'sync_in_progress', 'A sync is running; retry when it has finished', busy);
+
+    try {
+      const stats = await syncLock.run('retry_failures', () => retryFailedPages({ onDemand: true, pageId: ctx.body.notion_page_id || null }));
+      return { ...stats, timestamp: new Date().toISOString() };
+    } catch (error) {
+      if (error instanceof SyncBusyError) throw new HttpError(409, 'sync_in_progress', error.message, { holder: error.holder });
+      throw error;
     }
-    
+  });
+
+  // Reload focus slots, ventures, domains and aliases at the start of the next run
+  router.post('/api/cache/invalidate', () => {
+    referenceCache.invalidate();
+    return { status: 'invalidated', ...referenceCache.snapshot() };
+  });
+
+  // Values no value_aliases rule matched (?kind=status|priority|focus_slot), most recent first
+  router.get('/api/normalization/unknown', { scope: 'read', query: SCHEMAS.unknownValuesQuery }, async (ctx) => {
+    let query = supabase
+      .from('unknown_values')
+      .select('*')
+      .order('last_seen_at', { ascending: false });
+    if (ctx.query.get('kind')) query = query.eq('kind', ctx.query.get('kind'));
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  });
+
+  // Sync conflicts (?status=open|resolved|all, default open)
+  router.get('/api/conflicts', { scope: 'read', query: SCHEMAS.conflictsQuery }, (ctx) => {
+    return conflictResolver.listConflicts(ctx.query.get('status') || 'open');
+  });
+
+  router.post('/api/conflicts/:id/resolve', { body: SCHEMAS.conflictResolve }, async (ctx) => {
     try {
-      if (url.pathname === '/health') {
-        const health = logger.getHealthCheck();
-        res.writeHead(health.status === 'healthy' ? 200 : 503);
-        res.end(JSON.stringify(health, null, 2));
-        
-      } else if (url.pathname === '/metrics') {
-        const metricsData = {
-          ...logger.getHealthCheck(),
-          performance: metrics.getPerformanceSummary(),
-          active_operations: metrics.getActiveOperations()
-        };
-        res.writeHead(200);
-        res.end(JSON.stringify(metricsData, null, 2));
-        
-      } else if (url.pathname === '/api/sync' && req.method === 'POST') {
-        // Manual sync trigger
-        logger.info('Manual sync triggered via API');
-        syncPages().then(() => {
-          res.writeHead(200);
-          res.end(JSON.stringify({ status: 'sync_completed', timestamp: new Date().toISOString() }));
-        }).catch(error => {
-          res.writeHead(500);
-          res.end(JSON.stringify({ error: error.message, timestamp: new Date().toISOString() }));
-        });
-        
-      } else if (url.pathname === '/api/domains' && req.method === 'GET') {
-        // Get all domains with ventures
-        const { data: domains, error } = await supabase
-          .from('domains')
-          .select(`
-            *,
-            ventures:ventures(*)
-          `);
-          
-        if (error) {
-          res.writeHead(500);
-          res.end(JSON.stringify({ error: error.message }));
-        } else {
-          res.writeHead(200);
-          res.end(JSON.stringify(domains, null, 2));
-        }
-        
-      } else if (url.pathname === '/api/ventures' && req.method === 'GET') {
-        // Get all ventures with projects
-        const { data: ventures, error } = await supabase
-          .from('ventures')
-          .select(`
-            *,
-            domain:domains(*),
-            projects:projects(*)
-          `);
-          
-        if (error) {
-          res.writeHead(500);
-          res.end(JSON.stringify({ error: error.message }));
-        } else {
-          res.writeHead(200);
-          res.end(JSON.stringify(ventures, null, 2));
-        }
-        
-      } else if (url.pathname === '/api/ventures' && req.method === 'POST') {
-        // Create new venture
-        let body = '';
-        req.on('data', chunk => { body += chunk; });
-        req.on('end', async () => {
-          try {
-            const { slug, name, description, domain_slug } = JSON.parse(body);
-            
-            // Find domain ID
-            const { data: domain } = await supabase
-              .from('domains')
-              .select('id')
-              .eq('slug', domain_slug)
-              .single();
-            
-            if (!domain) {
-              res.writeHead(400);
-              res.end(JSON.stringify({ error: 'Domain not found' }));
-              return;
-            }
-            
-            const { data, error } = await supabase
-              .from('ventures')
-              .insert({ slug, name, description, primary_domain_id: domain.id })
-              .select()
-              .single();
-              
-            if (error) {
-              res.writeHead(400);
-              res.end(JSON.stringify({ error: error.message }));
-            } else {
-              res.writeHead(201);
-              res.end(JSON.stringify(data));
-            }
-          } catch (parseError) {
-            res.writeHead(400);
-            res.end(JSON.stringify({ error: 'Invalid JSON' }));
-          }
-        });
-        
-      } else if (url.pathname === '/api/projects' && req.method === 'POST') {
-        // Create new project
-        let body = '';
-        req.on('data', chunk => { body += chunk; });
-        req.on('end', async () => {
-          try {
-            const { name, venture_slug, description } = JSON.parse(body);
-            
-            // Find venture ID if provided
-            let venture_id = null;
-            if (venture_slug) {
-              const { data: venture } = await supabase
-                .from('ventures')
-                .select('id')
-                .eq('slug', venture_slug)
-                .single();
-              
-              if (!venture) {
-                res.writeHead(400);
-                res.end(JSON.stringify({ error: 'Venture not found' }));
-                return;
-              }
-              venture_id = venture.id;
-            }
-            
-            const { data, error } = await supabase
-              .from('projects')
-              .insert({ name, venture_id, description })
-              .select()
-              .single();
-              
-            if (error) {
-              res.writeHead(400);
-              res.end(JSON.stringify({ error: error.message }));
-            } else {
-              res.writeHead(201);
-              res.end(JSON.stringify(data));
-            }
-          } catch (parseError) {
-            res.writeHead(400);
-            res.end(JSON.stringify({ error: 'Invalid JSON' }));
-          }
-        });
-        
-      } else {
-        res.writeHead(404);
-        res.end(JSON.stringify({ error: 'Not found' }));
-      }
-      
+      return await conflictResolver.resolveConflict(ctx.params.id, ctx.body.resolution, ctx.body.resolved_by);
     } catch (error) {
-      logger.error('API error', { error: error.message, path: url.pathname });
-      res.writeHead(500);
-      res.end(JSON.stringify({ error: 'Internal server error' }));
+      // No code: the conflict is already resolved
+      if (!error.code) throw new HttpError(409, 'conflict', error.message);
+      throw error;
     }
   });
-  
+
+  // Filtered, sorted page of tasks: { tasks, total, limit, offset } (query parameters in task-api.mjs)
+  router.get('/api/tasks', { scope: 'read' }, async (ctx) => {
+    await referenceCache.get();
+    const listQuery = taskApi.parseListQuery(ctx.query);
+
+    if (listQuery.filters.projectName) {
+      const { data: projects, error: projectError } = await supabase
+        .from('projects')
+        .select('id')
+        .ilike('name', listQuery.filters.projectName.replace(/[\\%_]/g, '\\$&'));
+      if (projectError) throw projectError;
+      listQuery.filters.projectIds = projects.map(project => project.id);
+    }
+
+    const query = TaskApi.applyListQuery(supabase.from('tasks').select(TASK_SELECT, { count: 'exact' }), listQuery)
+      .range(listQuery.offset, listQuery.offset + listQuery.limit - 1);
+    const { data, count, error } = await query;
+    if (error) throw error;
+    return { tasks: data, total: count, limit: listQuery.limit, offset: listQuery.offset };
+  });
+
+  router.post('/api/tasks', { body: SCHEMAS.taskCreate }, async (ctx) => {
+    ctx.status = 201;
+    return writeApiTask(ctx.body);
+  });
+
+  router.get('/api/tasks/:id', { scope: 'read' }, async (ctx) => {
+    return found(await getApiTask(ctx.params.id), 'Task');
+  });
+
+  // ?mirror=true also pushes the result to the task's Notion page
+  router.patch('/api/tasks/:id', { query: SCHEMAS.mirrorQuery, body: SCHEMAS.taskUpdate }, async (ctx) => {
+    const task = await writeApiTask(ctx.body, { taskId: ctx.params.id, mirror: ctx.query.get('mirror') === 'true' });
+    return found(task, 'Task');
+  });
+
+  router.post('/api/tasks/:id/complete', { query: SCHEMAS.mirrorQuery }, async (ctx) => {
+    const task = await writeApiTask({ status: 'Done' }, { taskId: ctx.params.id, mirror: ctx.query.get('mirror') === 'true' });
+    return found(task, 'Task');
+  });
+
+  // Field-level audit trail and Notion snapshots of a task, newest first (?limit=, default 100)
+  router.get('/api/tasks/:id/history', { scope: 'read', query: SCHEMAS.taskHistoryQuery }, async (ctx) => {
+    const taskId = ctx.params.id;
+    const limit = Math.min(parseInt(ctx.query.get('limit') || '100', 10) || 100, 1000);
+
+    const [history, snapshots] = await Promise.all([
+      supabase
+        .from('task_history')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('changed_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit),
+      supabase
+        .from('notion_page_snapshots')
+        .select('notion_page_id, source, version, hash, properties, synced_at')
+        .eq('task_id', taskId)
+        .order('synced_at', { ascending: false })
+        .limit(limit)
+    ]);
+
+    const error = history.error || snapshots.error;
+    if (error) throw error;
+    return { task_id: taskId, history: history.data, snapshots: snapshots.data };
+  });
+
+  // API keys without their hashes
+  router.get('/api/keys', () => apiKeys.listKeys());
+
+  // The key itself is only in this response
+  router.post('/api/keys', { body: SCHEMAS.keyCreate }, async (ctx) => {
+    const { key, record } = await apiKeys.createKey({
+      name: ctx.body.name,
+      scopes: ctx.body.scopes,
+      expiresAt: ctx.body.expires_at || null,
+      createdBy: `api_key:${ctx.state.apiKey.name}`
+    });
+    ctx.status = 201;
+    return { ...record, key };
+  });
+
+  router.post('/api/keys/:id/revoke', async (ctx) => {
+    if (!isUuid(ctx.params.id)) throw new HttpError(404, 'not_found', `API key ${ctx.params.id} not found`);
+    try {
+      return await apiKeys.revokeKey(ctx.params.id);
+    } catch (error) {
+      // No code: no such unrevoked key
+      if (!error.code) throw new HttpError(404, 'not_found', error.message);
+      throw error;
+    }
+  });
+
+  return router;
+}
+
+// Health check server with management APIs
+function startHealthCheckServer() {
+  const router = buildApiRouter();
+  const server = createServer(router.handler());
+
   server.listen(config.server.port, () => {
-    logger.info('Health check server started', { 
+    logger.info('Health check server started', {
       port: config.server.port,
-      endpoints: ['/health', '/metrics', '/api/sync', '/api/domains', '/api/ventures', '/api/projects']
+      routes: router.describe(),
+      cors_origins: config.api.corsOrigins,
+      body_limit_bytes: config.api.bodyLimitBytes
     });
   });
-  
+
   return server;
 }
 
 // Main execution
 async function main() {
   logger.info('QC Bridge Enhanced v2.1 starting', {
-    mode: flags.once ? 'once' : 'continuous',
+    mode: flags.backfill ? 'backfill' : flags.once ? 'once' : 'continuous',
     dry_run: flags.dryRun,
+    force: flags.force,
     verbose: flags.verbose
   });
   
+  // --create-api-key only writes api_keys; the key is printed once and not stored
+  if (flags.createApiKey) {
+    const { key, record } = await apiKeys.createKey({
+      name: flags.keyName,
+      scopes: (flags.keyScopes || 'read').split(',').map(scope => scope.trim()),
+      createdBy: 'cli'
+    });
+    console.log(JSON.stringify({ ...record, key }, null, 2));
+    console.error('Store this key now; it cannot be shown again.');
+    return;
+  }
+  
+  // --failures only reads Supabase
+  if (flags.failures) {
+    const failures = await failureTracker.listFailures(flags.failures);
+    console.log(JSON.stringify(failures, null, 2));
+    return;
+  }
+  
+  // Fail fast with a readable diff when the Notion schema drifted from the mapping
+  await validatePropertyMapping();
+  
+  // Hashing, extraction and validation need the reference data (normalization rules included)
+  try {
+    await referenceCache.refresh();
+  } catch (error) {
+    logger.fatal('Could not load reference data (is sql/create_value_aliases.sql applied?)', { error: error.message });
+    process.exit(1);
+  }
+  
   let server;
   // Do not start the health server in one-off mode to avoid port conflicts
-  if (config.server.enableHealthCheck && !flags.once) {
+  if (config.server.enableHealthCheck && !flags.once && !flags.backfill && !flags.retryFailures) {
     server = startHealthCheckServer();
   }
   
-  if (flags.once) {
-    await syncPages();
+  // One-off modes exit when another replica is syncing (or takes the lease mid-run) instead of running beside it
+  const runOnce = async (label, fn) => {
+    try {
+      await syncLock.run(label, fn);
+    } catch (error) {
+      if (!(error instanceof SyncBusyError)) throw error;
+      logger.error('Stopped: another replica holds the sync lock', { mode: label, reason: error.message, holder: error.holder, expires_at: error.expiresAt });
+      process.exitCode = 1;
+    }
+  };
+  
+  if (flags.retryFailures) {
+    await runOnce('retry_failures', () => retryFailedPages({ onDemand: true }));
+  } else if (flags.backfill) {
+    await runOnce('backfill', backfillPages);
+  } else if (flags.once) {
+    await runOnce('once', async () => {
+      await syncPages();
+      if (flags.reconcile) await reconcileArchivedPages();
+    });
   } else {
-    // Continuous mode with health monitoring
+    // Continuous mode with health monitoring. API sync jobs take the same lock, so a run
+    // waits for one that is going and vice versa.
+    let runCount = 0;
     while (true) {
       try {
-        await syncPages();
+        await syncLock.run('continuous', async () => {
+          await syncPages();
+          if (runCount % config.reconcile.intervalRuns === 0) {
+            syncLock.checkLease();
+            await reconcileArchivedPages();
+          }
+        });
+        runCount++;
         logger.info('Waiting for next sync', { wait_seconds: 60 });
         await sleep(60000);
       } catch (error) {
+        if (error instanceof SyncBusyError) {
+          logger.info('Another replica is syncing; waiting for next sync', { holder: error.holder, wait_seconds: 60 });
+          await sleep(60000);
+          continue;
+        }
         logger.fatal('Sync loop failed', { error: error.message });
         // Continue running for observability, but alert
         await sleep(30000); // Shorter retry on failure
@@ -1,8 +1,9 @@
 // Metrics collector for operational insights
 export class MetricsCollector {
-  constructor(logger, supabase) {
+  constructor(logger, supabase, rateLimiter = null) {
     this.logger = logger;
     this.supabase = supabase;
+    this.rateLimiter = rateLimiter;
     this.operationMetrics = new Map();
     this.performanceMetrics = {
       notion_response_times: [],
@@ -170,7 +171,9 @@ export class MetricsCollector {
       sync_performance: {
         average_batch_size: this.calculateAverage(this.performanceMetrics.sync_batch_sizes),
         batch_count: this.performanceMetrics.sync_batch_sizes.length
-      }
+      },
+      // Queue depth and time spent waiting for tokens, per service
+      rate_limits: this.rateLimiter ? this.rateLimiter.stats() : null
     };
   }
 
@@ -0,0 +1,111 @@
+// Normalization of status, priority and focus slot values, driven by the value_aliases table.
+// Mirrors normalize_value() in sql/create_value_aliases.sql so the bridge and process_bulk_tasks
+// agree; values no rule matches are collected per run and reported to unknown_values.
+
+export const VALUE_KINDS = ['status', 'priority', 'focus_slot'];
+
+// What an unrecognised value falls back to (the tasks constraints need a status and priority)
+export const FALLBACK_VALUES = { status: 'To Do', priority: 'P2', focus_slot: null };
+
+// Leading emoji, punctuation and spaces ("🎯 Deep Work Block 1" → "Deep Work Block 1")
+export function stripLeadingSymbols(value) {
+  return String(value).replace(/^[^\p{L}\p{N}]+/u, '');
+}
+
+// Apply one kind's rules to a value. rules: [{ match_type, pattern, value, position }];
+// slots: canonical focus slot names (focus_slot only). Returns the canonical value or null.
+export function applyRules(rules, value, slots = null) {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  if (!trimmed) return null;
+
+  const lower = trimmed.toLowerCase();
+  const stripped = stripLeadingSymbols(trimmed).toLowerCase();
+  const ordered = [...rules].sort((a, b) => (a.position ?? 100) - (b.position ?? 100));
+
+  const exact = ordered.find(rule => rule.match_type === 'exact' && rule.pattern.toLowerCase() === lower);
+  if (exact) return exact.value;
+
+  if (slots) {
+    const slot = slots.find(s => s.toLowerCase() === stripped);
+    if (slot) return slot;
+  }
+
+  const contains = ordered.find(rule => rule.match_type === 'contains' && lower.includes(rule.pattern.toLowerCase()));
+  if (contains) return contains.value;
+
+  if (slots && stripped) {
+    const partial = [...slots].sort().find(s => s.toLowerCase().includes(stripped) || stripped.includes(s.toLowerCase()));
+    if (partial) return partial;
+  }
+
+  return null;
+}
+
+export class Normalizer {
+  // referenceCache is the bridge's ReferenceCache (valueAliases rows and focusSlots names);
+  // recordUnknown(entry) is the bridge's wrapped record_unknown_value RPC
+  constructor(logger, referenceCache, { recordUnknown }) {
+    this.logger = logger;
+    this.referenceCache = referenceCache;
+    this.recordUnknown = recordUnknown;
+    this.indexedData = null;
+    this.rules = {};
+    this.unknown = new Map();
+  }
+
+  // Rules grouped by kind, rebuilt whenever the cache reloads
+  rulesFor(kind) {
+    const data = this.referenceCache.current();
+    if (this.indexedData !== data) {
+      this.rules = Object.fromEntries(VALUE_KINDS.map(k => [k, data.valueAliases.filter(rule => rule.kind === k)]));
+      this.indexedData = data;
+    }
+    return this.rules[kind] || [];
+  }
+
+  // { value, fallback }: the canonical value, or the kind's fallback with fallback = true.
+  // Pure: used for hashing as well as extraction.
+  normalize(kind, value) {
+    const rules = this.rulesFor(kind);
+    if (value === null || value === undefined || String(value).trim() === '') {
+      return { value: null, fallback: false };
+    }
+
+    const slots = kind === 'focus_slot' ? this.referenceCache.current().focusSlots : null;
+    const canonical = applyRules(rules, value, slots);
+    return canonical === null
+      ? { value: FALLBACK_VALUES[kind], fallback: true }
+      : { value: canonical, fallback: false };
+  }
+
+  // normalize(), remembering unrecognised values for the unknown values report.
+  // source is the sync source key; ref identifies an example record (the Notion page ID)
+  resolve(kind, value, { source, ref = null } = {}) {
+    const result = this.normalize(kind, value);
+    if (result.fallback) {
+      const raw = String(value).trim();
+      const key = [kind, raw, source].join('\u0000');
+      const entry = this.unknown.get(key) || { kind, value: raw, source, count: 0, example_ref: ref };
+      entry.count++;
+      this.unknown.set(key, entry);
+      this.logger.warn('Unknown value, using fallback', { kind, notion_value: raw, fallback: result.value, source, ref });
+    }
+    return result;
+  }
+
+  // Unknown values seen since the last flush, most frequent first
+  unknownReport() {
+    return [...this.unknown.values()].sort((a, b) => b.count - a.count);
+  }
+
+  // Write the collected unknown values to unknown_values and start a new collection
+  async flushUnknown() {
+    const entries = this.unknownReport();
+    this.unknown.clear();
+    for (const entry of entries) {
+      await this.recordUnknown(entry);
+    }
+    return entries;
+  }
+}
@@ -0,0 +1,154 @@
+// Page body sync: fetch a page's child blocks through the Notion blocks API and render them as
+// Markdown for tasks.notes, and collect to-do blocks for subtasks. Unsupported block types
+// (tables, databases, synced blocks) are skipped.
+
+// Rich text array → Markdown with inline annotations and links
+export function richTextToMarkdown(richText = []) {
+  return richText.map(part => {
+    let text = part.plain_text || '';
+    if (!text) return '';
+    const a = part.annotations || {};
+    if (a.code) text = `\`${text}\``;
+    if (a.bold) text = `**${text}**`;
+    if (a.italic) text = `*${text}*`;
+    if (a.strikethrough) text = `~~${text}~~`;
+    const href = part.href || part.text?.link?.url;
+    return href ? `[${text}](${href})` : text;
+  }).join('');
+}
+
+// Link-like blocks (bookmark, embed, files) → "[caption](url)"
+function linkBlock(value, fallbackLabel) {
+  const url = value?.url || value?.external?.url || value?.file?.url;
+  if (!url) return null;
+  const caption = richTextToMarkdown(value.caption) || value.name || fallbackLabel || url;
+  return `[${caption}](${url})`;
+}
+
+// One block (without its children) → Markdown line(s), or null when the type is not supported.
+// number is the position within a run of numbered list items.
+function blockToMarkdown(block, number) {
+  const value = block[block.type] || {};
+  const text = richTextToMarkdown(value.rich_text);
+
+  switch (block.type) {
+    case 'paragraph': return text;
+    case 'heading_1': return `# ${text}`;
+    case 'heading_2': return `## ${text}`;
+    case 'heading_3': return `### ${text}`;
+    case 'bulleted_list_item': return `- ${text}`;
+    case 'numbered_list_item': return `${number}. ${text}`;
+    case 'to_do': return `- [${value.checked ? 'x' : ' '}] ${text}`;
+    case 'toggle': return `- ${text}`;
+    case 'quote': return `> ${text}`;
+    case 'callout': return `> ${value.icon?.emoji ? `${value.icon.emoji} ` : ''}${text}`;
+    case 'code': {
+      const code = (value.rich_text || []).map(part => part.plain_text).join('');
+      return `\`\`\`${value.language && value.language !== 'plain text' ? value.language : ''}\n${code}\n\`\`\``;
+    }
+    case 'divider': return '---';
+    case 'child_page': return `📄 ${value.title || 'Untitled'}`;
+    case 'equation': return `$$${value.expression || ''}$$`;
+    case 'bookmark':
+    case 'link_preview':
+    case 'embed':
+    case 'video':
+    case 'file':
+    case 'pdf':
+      return linkBlock(value, block.type);
+    case 'image':
+      return linkBlock(value, 'image') ? `!${linkBlock(value, 'image')}` : null;
+    default:
+      return null;
+  }
+}
+
+// Block tree (blocks with a `children` array) → Markdown. Nested blocks are indented two spaces.
+export function blocksToMarkdown(blocks = [], depth = 0) {
+  const indent = '  '.repeat(depth);
+  const lines = [];
+  let number = 0;
+
+  for (const block of blocks) {
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+    const markdown = blockToMarkdown(block, number);
+    if (markdown !== null) {
+      lines.push(markdown.split('\n').map(line => (line ? indent + line : line)).join('\n'));
+    }
+    if (block.children?.length) {
+      const nested = blocksToMarkdown(block.children, depth + 1);
+      if (nested) lines.push(nested);
+    }
+  }
+
+  // Only surrounding blank lines are dropped; trim() would eat the indent of nested blocks
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').replace(/^\n+|\s+$/g, '');
+}
+
+// To-do blocks of a block tree, depth first, as subtasks rows: { notion_block_id, title, checked, position }.
+// Empty to-dos (the placeholder Notion leaves after the last one) are skipped.
+export function collectTodos(blocks = [], todos = []) {
+  for (const block of blocks) {
+    if (block.type === 'to_do') {
+      const title = (block.to_do.rich_text || []).map(part => part.plain_text).join('').trim();
+      if (title) {
+        todos.push({ notion_block_id: block.id, title, checked: !!block.to_do.checked, position: todos.length });
+      }
+    }
+    if (block.children?.length) collectTodos(block.children, todos);
+  }
+  return todos;
+}
+
+export class NotionBlockFetcher {
+  // listChildren(blockId, startCursor) is the bridge's wrapped notion.blocks.children.list call
+  constructor(logger, { listChildren, maxDepth = 3, maxBlocks = 500 }) {
+    this.logger = logger;
+    this.listChildren = listChildren;
+    this.maxDepth = maxDepth;
+    this.maxBlocks = maxBlocks;
+  }
+
+  // Child blocks of a page as a tree, { blocks, truncated }; stops after maxBlocks blocks
+  async fetchTree(pageId) {
+    const state = { count: 0, truncated: false };
+    const blocks = await this.fetchChildren(pageId, 0, state);
+    if (state.truncated) {
+      this.logger.warn('Page body truncated', { page_id: pageId, max_blocks: this.maxBlocks });
+    }
+    return { blocks, truncated: state.truncated };
+  }
+
+  async fetchChildren(blockId, depth, state) {
+    const blocks = [];
+    let cursor;
+
+    do {
+      const response = await this.listChildren(blockId, cursor);
+      for (const block of response.results || []) {
+        if (state.count >= this.maxBlocks) {
+          state.truncated = true;
+          return blocks;
+        }
+        state.count++;
+        blocks.push(block);
+      }
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+
+    // Child pages and databases are separate documents, not part of this page's body
+    for (const block of blocks) {
+      if (state.truncated) break;
+      if (!block.has_children || ['child_page', 'child_database'].includes(block.type)) continue;
+      if (depth + 1 >= this.maxDepth) continue;
+      block.children = await this.fetchChildren(block.id, depth + 1, state);
+    }
+    return blocks;
+  }
+
+  // Markdown and to-dos of a page body
+  async pageBody(pageId) {
+    const { blocks, truncated } = await this.fetchTree(pageId);
+    return { markdown: blocksToMarkdown(blocks), todos: collectTodos(blocks), truncated };
+  }
+}
@@ -0,0 +1,71 @@
+// Resolves Notion people and relation IDs to emails and related page titles, with caching
+import { LOOKUP_TYPES } from './property-mapping.mjs';
+
+export class NotionLookup {
+  // retrieveUser(id) and retrievePage(id) are the bridge's wrapped Notion API calls
+  constructor(logger, { retrieveUser, retrievePage }) {
+    this.logger = logger;
+    this.retrieveUser = retrieveUser;
+    this.retrievePage = retrievePage;
+    this.userEmails = new Map();
+    this.pageTitles = new Map();
+  }
+
+  async userEmail(userId) {
+    if (this.userEmails.has(userId)) return this.userEmails.get(userId);
+
+    let email = null;
+    try {
+      const user = await this.retrieveUser(userId);
+      // Bots and guests without a visible email fall back to their display name
+      email = user?.person?.email || user?.name || null;
+    } catch (error) {
+      this.logger.debug('Could not resolve Notion user', { user_id: userId, error: error.message });
+    }
+
+    this.userEmails.set(userId, email);
+    return email;
+  }
+
+  async pageTitle(pageId) {
+    if (this.pageTitles.has(pageId)) return this.pageTitles.get(pageId);
+
+    let title = null;
+    try {
+      const page = await this.retrievePage(pageId);
+      const titleProp = Object.values(page?.properties || {}).find(prop => prop.type === 'title');
+      title = titleProp?.title?.map(t => t.plain_text).join('') || null;
+    } catch (error) {
+      // Usually the related database is not shared with the integration
+      this.logger.debug('Could not resolve related Notion page', { page_id: pageId, error: error.message });
+    }
+
+    this.pageTitles.set(pageId, title);
+    return title;
+  }
+
+  // Replace people/relation ID lists in extracted values with emails/titles
+  async resolve(values, mapping) {
+    const resolved = { ...values };
+
+    for (const field of Object.keys(values)) {
+      const type = mapping.typeOf(field);
+      if (!LOOKUP_TYPES.includes(type) || !Array.isArray(values[field])) continue;
+
+      const lookup = type === 'people' ? (id) => this.userEmail(id) : (id) => this.pageTitle(id);
+      const names = [];
+      for (const id of values[field]) {
+        const name = await lookup(id);
+        if (name) names.push(name);
+      }
+      resolved[field] = names;
+    }
+
+    return resolved;
+  }
+
+  // Drop cached related-page titles (they change more often than users)
+  clearPageTitles() {
+    this.pageTitles.clear();
+  }
+}
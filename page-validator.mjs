@@ -0,0 +1,104 @@
+// Per-page validation: structured reasons why a page was skipped or synced with adjustments,
+// and the "Sync Errors" / "Sync State" properties that report them back on the Notion page
+
+// Values written to the Sync State select (Notion creates missing options on first write)
+export const SYNC_STATES = {
+  synced: 'Synced',
+  warnings: 'Synced with warnings',
+  skipped: 'Skipped'
+};
+
+// Fields a page cannot sync without
+const REQUIRED_PROPS = [
+  { field: 'domain', label: 'Domain' },
+  { field: 'venture', label: 'Venture' },
+  { field: 'priority', label: 'Priority' }
+];
+
+// Notion rich_text content is capped at 2000 characters per text object
+const MAX_REPORT_LENGTH = 2000;
+
+export class PageValidator {
+  // ventureResolver is a VentureResolver; its reference data is cached per run
+  constructor(logger, { ventureResolver }) {
+    this.logger = logger;
+    this.ventureResolver = ventureResolver;
+  }
+
+  // Checks on extracted bridge props that need no per-page lookup.
+  // Returns { issues, blocking, venture } where each issue is { code, field, value, blocking, message }
+  // and venture is the resolved ventures row (null when the venture did not resolve).
+  validate(props) {
+    const issues = [];
+
+    for (const { field, label } of REQUIRED_PROPS) {
+      if (!props[field]) {
+        issues.push({ code: 'missing_field', field, value: null, blocking: true, message: `${label} is empty` });
+      }
+    }
+
+    // Resolve the venture here so misses, ambiguous matches and Domain mismatches get a readable reason
+    let venture = null;
+    if (props.venture) {
+      const resolved = this.ventureResolver.resolve(props.venture, props.domain);
+      venture = resolved.venture;
+      if (resolved.issue) issues.push(resolved.issue);
+    }
+
+    if (props.statusFallback) {
+      issues.push({
+        code: 'status_fallback',
+        field: 'status',
+        value: props.rawStatus,
+        blocking: false,
+        message: `Status "${props.rawStatus}" is not recognised; synced as "${props.status}"`
+      });
+    }
+
+    if (props.priorityFallback) {
+      issues.push({
+        code: 'priority_fallback',
+        field: 'priority',
+        value: props.rawPriority,
+        blocking: false,
+        message: `Priority "${props.rawPriority}" is not recognised; synced as "${props.priority}"`
+      });
+    }
+
+    return { issues, blocking: issues.some(issue => issue.blocking), venture };
+  }
+
+  // Focus slots are resolved against focus_slots later in the pipeline (after the hash check)
+  focusSlotIssue(notionValue, resolved) {
+    if (!notionValue || resolved) return null;
+    return {
+      code: 'unknown_focus_slot',
+      field: 'focusSlot',
+      value: notionValue,
+      blocking: false,
+      message: `Focus Slot "${notionValue}" is not a known focus slot; synced without one`
+    };
+  }
+
+  // Sync State and Sync Errors text for a validation outcome
+  static summarize(issues, skipped) {
+    const state = skipped ? SYNC_STATES.skipped : issues.length > 0 ? SYNC_STATES.warnings : SYNC_STATES.synced;
+    const text = issues.map(issue => `• ${issue.message}`).join('\n').substring(0, MAX_REPORT_LENGTH);
+    return { state, text };
+  }
+
+  // pages.update properties for the report, or {} when the page already shows it (writing an
+  // unchanged report would only bump last_edited_time) or neither property is mapped
+  static reportProperties(mapping, page, { state, text }) {
+    const properties = {};
+
+    if (mapping.has('syncState') && (mapping.value(page.properties, 'syncState') || null) !== state) {
+      Object.assign(properties, mapping.buildProperty('syncState', state));
+    }
+    if (mapping.has('syncErrors') && (mapping.value(page.properties, 'syncErrors') || '') !== text) {
+      Object.assign(properties, mapping.buildProperty('syncErrors', text));
+    }
+
+    return properties;
+  }
+}
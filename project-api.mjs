@@ -0,0 +1,345 @@
+// Projects and milestones for /api/projects and /api/milestones: create, update, archive/restore
+// (never delete, tasks keep their links) and moving a project to another venture through
+// move_project_to_venture. Reads carry task rollups from project_task_rollups and
+// milestone_task_rollups (sql/create_project_hierarchy.sql).
+import { stripLeadingSymbols } from './normalization.mjs';
+import { ApiInputError, isUuid, isDate } from './task-api.mjs';
+
+// projects_status_check values without their emoji variants (sql/fix_status_constraint.sql)
+export const PROJECT_STATUSES = ['Active', 'Planning', 'In Progress', 'On Hold', 'Complete', 'Cancelled'];
+
+// Values of the milestones status enum
+export const MILESTONE_STATUSES = ['planned', 'in_progress', 'on_hold', 'completed'];
+
+// Spellings that differ from the canonical value by more than case, emoji or separators
+const STATUS_SYNONYMS = {
+  project: { done: 'Complete', completed: 'Complete', canceled: 'Cancelled', planned: 'Planning' },
+  milestone: { done: 'completed', complete: 'completed', planning: 'planned', active: 'in_progress' }
+};
+
+const PROJECT_FIELDS = ['name', 'venture', 'description', 'status', 'priority', 'start_date', 'target_date'];
+const MILESTONE_FIELDS = ['name', 'project_id', 'description', 'status', 'priority', 'due_date'];
+
+const PROJECT_SELECT = '*, venture:ventures(slug, name), domain:domains(slug, name)';
+const MILESTONE_SELECT = '*, project:projects(name, venture_id)';
+
+// "🔄 In Progress" / "in-progress" → "in progress"
+const statusKey = (value) => stripLeadingSymbols(String(value).trim()).toLowerCase().replace(/[\s_-]+/g, ' ');
+
+export class ProjectApi {
+  // ventureResolver and normalizer read the reference cache in memory, so callers await
+  // referenceCache.get() first
+  constructor(logger, supabase, { ventureResolver, normalizer, referenceCache }) {
+    this.logger = logger;
+    this.supabase = supabase;
+    this.ventureResolver = ventureResolver;
+    this.normalizer = normalizer;
+    this.referenceCache = referenceCache;
+  }
+
+  // Canonical project or milestone status, or an issue
+  status(kind, value, issues) {
+    const allowed = kind === 'project' ? PROJECT_STATUSES : MILESTONE_STATUSES;
+    const key = statusKey(value);
+    const canonical = allowed.find(status => statusKey(status) === key) || STATUS_SYNONYMS[kind][key];
+    if (!canonical) {
+      issues.push({ code: `unknown_${kind}_status`, field: 'status', value, message: `status must be one of: ${allowed.join(', ')}` });
+    }
+    return canonical || null;
+  }
+
+  priority(value, issues) {
+    const { value: canonical, fallback } = this.normalizer.normalize('priority', value);
+    if (fallback) issues.push({ code: 'unknown_priority', field: 'priority', value, message: `priority "${value}" is not a recognised priority` });
+    return canonical;
+  }
+
+  // Column values for an insert or update from a request body; only fields in the body are set
+  columns(kind, input, { create }) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ApiInputError('Body must be a JSON object');
+    }
+
+    const allowed = kind === 'project' ? PROJECT_FIELDS : MILESTONE_FIELDS;
+    const issues = [];
+    const columns = {};
+
+    for (const field of Object.keys(input)) {
+      if (!allowed.includes(field)) {
+        issues.push({ code: 'unknown_field', field, value: input[field], message: `"${field}" cannot be set (allowed: ${allowed.join(', ')})` });
+      }
+    }
+    if (!create && Object.keys(input).length === 0) throw new ApiInputError('No fields to update');
+
+    if (create || 'name' in input) {
+      const name = typeof input.name === 'string' ? input.name.trim() : '';
+      if (!name) issues.push({ code: 'missing_field', field: 'name', value: input.name ?? null, message: 'name is required' });
+      columns.name = name;
+    }
+    if ('description' in input) columns.description = input.description || null;
+    if ('status' in input) columns.status = this.status(kind, input.status, issues);
+    if ('priority' in input) columns.priority = this.priority(input.priority, issues);
+
+    for (const field of ['start_date', 'target_date', 'due_date']) {
+      if (!(field in input) || !allowed.includes(field)) continue;
+      if (input[field] && !isDate(input[field])) {
+        issues.push({ code: 'invalid_date', field, value: input[field], message: `${field} must be YYYY-MM-DD` });
+      }
+      columns[field] = input[field] || null;
+    }
+
+    if (issues.length > 0) throw new ApiInputError(`Invalid ${kind}`, issues);
+    return columns;
+  }
+
+  // The venture a body names (slug, name, alias or id), or an ApiInputError
+  resolveVenture(value) {
+    if (isUuid(value)) {
+      const venture = this.referenceCache.current().ventures.find(row => row.id === value);
+      if (venture) return venture;
+    }
+    const { venture, issue } = this.ventureResolver.resolve(value, null);
+    if (!venture) throw new ApiInputError('Invalid venture', [issue]);
+    return venture;
+  }
+
+  // 409 when another project of the venture (or milestone of the project), archived or not, has the
+  // name: create_or_update_task finds them by name, so duplicates would be ambiguous
+  async assertUniqueName(table, parentColumn, parentId, name, exceptId = null) {
+    let query = this.supabase
+      .from(table)
+      .select('id')
+      .ilike('name', name.replace(/[\\%_]/g, '\\$&'))
+      .limit(1);
+    query = parentId ? query.eq(parentColumn, parentId) : query.is(parentColumn, null);
+    if (exceptId) query = query.neq('id', exceptId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data.length > 0) {
+      const kind = table === 'projects' ? 'project' : 'milestone';
+      throw new ApiInputError(`A ${kind} named "${name}" already exists`, [
+        { code: `duplicate_${kind}`, field: 'name', value: name, message: `${parentColumn} already has a ${kind} named "${name}"` }
+      ], 409);
+    }
+  }
+
+  // Rows with their rollup under `rollup` (zero counts when the view has no row)
+  async withRollups(rows, view, key) {
+    if (rows.length === 0) return rows;
+    const { data, error } = await this.supabase
+      .from(view)
+      .select('*')
+      .in(key, rows.map(row => row.id));
+    if (error) throw error;
+
+    const byId = new Map(data.map(rollup => [rollup[key], rollup]));
+    return rows.map(row => {
+      const { tasks_total = 0, tasks_done = 0, tasks_by_status = {} } = byId.get(row.id) || {};
+      return { ...row, rollup: { tasks_total, tasks_done, tasks_by_status } };
+    });
+  }
+
+  // ?venture=&status=&include_archived=true
+  async listProjects(searchParams) {
+    let query = this.supabase.from('projects').select(PROJECT_SELECT).order('name');
+    if (searchParams.get('include_archived') !== 'true') query = query.is('archived_at', null);
+    if (searchParams.get('venture')) query = query.eq('venture_id', this.resolveVenture(searchParams.get('venture')).id);
+    if (searchParams.get('status')) {
+      const issues = [];
+      const status = this.status('project', searchParams.get('status'), issues);
+      if (issues.length > 0) throw new ApiInputError('Invalid project query', issues);
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return this.withRollups(data, 'project_task_rollups', 'project_id');
+  }
+
+  // A project with its rollup and its milestones (with theirs), or null
+  async getProject(id) {
+    if (!isUuid(id)) return null;
+    const { data, error } = await this.supabase.from('projects').select(PROJECT_SELECT).eq('id', id).maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    const { data: milestones, error: milestoneError } = await this.supabase
+      .from('milestones')
+      .select('*')
+      .eq('project_id', id)
+      .order('created_at');
+    if (milestoneError) throw milestoneError;
+
+    const [project] = await this.withRollups([data], 'project_task_rollups', 'project_id');
+    return { ...project, milestones: await this.withRollups(milestones, 'milestone_task_rollups', 'milestone_id') };
+  }
+
+  // venture_slug is the older name of venture
+  async createProject(body) {
+    const { venture_slug: ventureSlug, ...input } = body && typeof body === 'object' ? body : {};
+    if (ventureSlug && !input.venture) input.venture = ventureSlug;
+    const columns = this.columns('project', input, { create: true });
+    // The venture is optional, as for projects created before ventures existed
+    const venture = input.venture ? this.resolveVenture(input.venture) : null;
+    await this.assertUniqueName('projects', 'venture_id', venture?.id, columns.name);
+
+    const { data, error } = await this.supabase
+      .from('projects')
+      .insert({
+        status: 'Active',
+        priority: 'P2',
+        ...columns,
+        venture_id: venture?.id || null,
+        domain_id: venture?.primary_domain_id || null
+      })
+      .select('id')
+      .single();
+    if (error) throw error;
+
+    this.logger.info('Project created', { project_id: data.id, name: columns.name, venture: venture?.slug });
+    return this.getProject(data.id);
+  }
+
+  // The venture is changed with moveProject, which also moves the project's tasks
+  async updateProject(id, input) {
+    if (input && typeof input === 'object' && 'venture' in input) {
+      throw new ApiInputError('Use POST /api/projects/:id/move to change the venture', [
+        { code: 'use_move', field: 'venture', value: input.venture, message: 'venture is changed with POST /api/projects/:id/move' }
+      ]);
+    }
+    const columns = this.columns('project', input, { create: false });
+    const current = await this.getProject(id);
+    if (!current) return null;
+    if (columns.name) await this.assertUniqueName('projects', 'venture_id', current.venture_id, columns.name, id);
+
+    const { error } = await this.supabase
+      .from('projects')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', id);
+    if (error) throw error;
+
+    this.logger.info('Project updated', { project_id: id, fields: Object.keys(columns) });
+    return this.getProject(id);
+  }
+
+  // Move a project (and its tasks' venture_id/domain_id) to another venture
+  async moveProject(id, input) {
+    if (!input?.venture) {
+      throw new ApiInputError('Invalid move', [{ code: 'missing_field', field: 'venture', value: null, message: 'venture is required' }]);
+    }
+    if (!isUuid(id)) return null;
+    const venture = this.resolveVenture(input.venture);
+
+    const { data, error } = await this.supabase.rpc('move_project_to_venture', {
+      p_project_id: id,
+      p_venture_id: venture.id
+    });
+    if (error) throw error;
+
+    this.logger.info('Project moved', { project_id: id, venture: venture.slug, tasks_updated: data.tasks_updated });
+    return { ...(await this.getProject(id)), move: data };
+  }
+
+  // Archive (archived = true) or restore a project or milestone; tasks keep their links either way
+  async setArchived(table, id, archived) {
+    if (!isUuid(id)) return null;
+    const { data, error } = await this.supabase
+      .from(table)
+      .update({ archived_at: archived ? new Date().toISOString() : null, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select('id')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    this.logger.info(archived ? 'Archived' : 'Restored', { table, id });
+    return table === 'projects' ? this.getProject(id) : this.getMilestone(id);
+  }
+
+  // ?project=<id>&status=&include_archived=true
+  async listMilestones(searchParams) {
+    let query = this.supabase.from('milestones').select(MILESTONE_SELECT).order('created_at');
+    if (searchParams.get('include_archived') !== 'true') query = query.is('archived_at', null);
+    if (searchParams.get('project')) {
+      if (!isUuid(searchParams.get('project'))) {
+        throw new ApiInputError('Invalid milestone query', [
+          { code: 'invalid_id', field: 'project', value: searchParams.get('project'), message: 'project must be a project id' }
+        ]);
+      }
+      query = query.eq('project_id', searchParams.get('project'));
+    }
+    if (searchParams.get('status')) {
+      const issues = [];
+      const status = this.status('milestone', searchParams.get('status'), issues);
+      if (issues.length > 0) throw new ApiInputError('Invalid milestone query', issues);
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return this.withRollups(data, 'milestone_task_rollups', 'milestone_id');
+  }
+
+  async getMilestone(id) {
+    if (!isUuid(id)) return null;
+    const { data, error } = await this.supabase.from('milestones').select(MILESTONE_SELECT).eq('id', id).maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+    const [milestone] = await this.withRollups([data], 'milestone_task_rollups', 'milestone_id');
+    return milestone;
+  }
+
+  // Milestones belong to a live project; moving one to another project is not supported
+  async createMilestone(input) {
+    const columns = this.columns('milestone', input, { create: true });
+    let project = null;
+    if (isUuid(input.project_id)) {
+      const { data, error } = await this.supabase.from('projects').select('id, archived_at').eq('id', input.project_id).maybeSingle();
+      if (error) throw error;
+      project = data;
+    }
+    if (!project) {
+      throw new ApiInputError('Invalid milestone', [
+        { code: 'unknown_project', field: 'project_id', value: input.project_id ?? null, message: 'project_id must be an existing project' }
+      ]);
+    }
+    if (project.archived_at) {
+      throw new ApiInputError('Project is archived', [
+        { code: 'archived_project', field: 'project_id', value: project.id, message: 'Restore the project before adding milestones' }
+      ], 409);
+    }
+    await this.assertUniqueName('milestones', 'project_id', project.id, columns.name);
+
+    const { data, error } = await this.supabase
+      .from('milestones')
+      .insert({ status: 'planned', priority: 'P2', ...columns, project_id: project.id })
+      .select('id')
+      .single();
+    if (error) throw error;
+
+    this.logger.info('Milestone created', { milestone_id: data.id, project_id: project.id, name: columns.name });
+    return this.getMilestone(data.id);
+  }
+
+  async updateMilestone(id, input) {
+    if (input && typeof input === 'object' && 'project_id' in input) {
+      throw new ApiInputError('Invalid milestone', [
+        { code: 'immutable_field', field: 'project_id', value: input.project_id, message: 'A milestone cannot move to another project' }
+      ]);
+    }
+    const columns = this.columns('milestone', input, { create: false });
+    const current = await this.getMilestone(id);
+    if (!current) return null;
+    if (columns.name) await this.assertUniqueName('milestones', 'project_id', current.project_id, columns.name, id);
+
+    const { error } = await this.supabase
+      .from('milestones')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', id);
+    if (error) throw error;
+
+    this.logger.info('Milestone updated', { milestone_id: id, fields: Object.keys(columns) });
+    return this.getMilestone(id);
+  }
+}
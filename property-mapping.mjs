@@ -0,0 +1,168 @@
+// Notion property mapping: binds each canonical bridge field to a Notion property name and type
+import { existsSync, readFileSync } from 'fs';
+
+// Defaults match the Quick Capture database described in docs/OPERATIONS_RULEBOOK.md
+export const DEFAULT_FIELDS = {
+  title: { property: 'Task', type: 'title' },
+  domain: { property: 'Domain', type: 'select' },
+  venture: { property: 'Venture', type: 'select' },
+  project: { property: 'Project', type: 'rich_text' },
+  milestone: { property: 'Milestone', type: 'rich_text' },
+  priority: { property: 'Priority', type: 'select' },
+  dueDate: { property: 'Due Date', type: 'date' },
+  assignee: { property: 'Assignee', type: 'rich_text' },
+  status: { property: 'Status', type: 'select' },
+  focusSlot: { property: 'Focus Slot', type: 'select' },
+  focusDate: { property: 'Focus Date', type: 'date' },
+  supabaseTaskId: { property: 'Supabase Task ID', type: 'rich_text' },
+  linked: { property: 'Linked', type: 'checkbox' },
+  // Opt-in: e.g. { property: 'Tags', type: 'multi_select' } (needs sql/add_task_tags.sql)
+  tags: null,
+  // Opt-in validation report written back by the bridge, e.g.
+  // { property: 'Sync Errors', type: 'rich_text' } and { property: 'Sync State', type: 'select' }
+  syncErrors: null,
+  syncState: null
+};
+
+// Fields the bridge cannot run without (the rest may be mapped to null to disable them)
+const REQUIRED_FIELDS = ['title', 'supabaseTaskId', 'linked'];
+
+// Read a value out of a Notion property object, by property type.
+// people and relation yield IDs; NotionLookup resolves them to emails and page titles.
+const EXTRACTORS = {
+  title: (prop) => prop.title?.[0]?.plain_text || null,
+  rich_text: (prop) => prop.rich_text?.[0]?.plain_text || null,
+  select: (prop) => prop.select?.name || null,
+  status: (prop) => prop.status?.name || null,
+  multi_select: (prop) => (prop.multi_select || []).map(option => option.name),
+  people: (prop) => (prop.people || []).map(person => person.id),
+  relation: (prop) => (prop.relation || []).map(related => related.id),
+  date: (prop) => prop.date?.start || null,
+  checkbox: (prop) => prop.checkbox || false
+};
+
+// Types whose extracted values are IDs that need an API lookup
+export const LOOKUP_TYPES = ['people', 'relation'];
+
+// Build a Notion property payload for pages.update, by property type
+const WRITERS = {
+  title: (value) => ({ title: value ? [{ text: { content: String(value) } }] : [] }),
+  rich_text: (value) => ({ rich_text: value ? [{ text: { content: String(value) } }] : [] }),
+  select: (value) => ({ select: value ? { name: String(value) } : null }),
+  status: (value) => ({ status: value ? { name: String(value) } : null }),
+  multi_select: (value) => ({ multi_select: [].concat(value || []).map(name => ({ name: String(name) })) }),
+  people: (value) => ({ people: [].concat(value || []).map(id => ({ id })) }),
+  relation: (value) => ({ relation: [].concat(value || []).map(id => ({ id })) }),
+  date: (value) => ({ date: value ? { start: value } : null }),
+  checkbox: (value) => ({ checkbox: !!value })
+};
+
+export class PropertyMapping {
+  constructor(fields = {}) {
+    this.fields = { ...DEFAULT_FIELDS, ...fields };
+
+    for (const [field, binding] of Object.entries(this.fields)) {
+      if (binding === null) {
+        if (REQUIRED_FIELDS.includes(field)) {
+          throw new Error(`Property mapping: field "${field}" is required and cannot be disabled`);
+        }
+        continue;
+      }
+      if (!binding.property || !binding.type) {
+        throw new Error(`Property mapping: field "${field}" needs both "property" and "type"`);
+      }
+      if (!EXTRACTORS[binding.type]) {
+        throw new Error(`Property mapping: field "${field}" uses unsupported type "${binding.type}" (supported: ${Object.keys(EXTRACTORS).join(', ')})`);
+      }
+    }
+  }
+
+  // Load a JSON mapping file ({ "fields": { ... } }); falls back to defaults when the file is absent
+  static load(filePath) {
+    if (!filePath || !existsSync(filePath)) return new PropertyMapping();
+
+    let parsed;
+    try {
+      parsed = JSON.parse(readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Property mapping: could not parse ${filePath}: ${error.message}`);
+    }
+    return new PropertyMapping(parsed.fields || {});
+  }
+
+  has(field) {
+    return !!this.fields[field];
+  }
+
+  propertyName(field) {
+    return this.fields[field]?.property || null;
+  }
+
+  typeOf(field) {
+    return this.fields[field]?.type || null;
+  }
+
+  // Raw value of one canonical field from a page's properties (null when unmapped or empty)
+  value(properties, field) {
+    const binding = this.fields[field];
+    if (!binding) return null;
+    const prop = properties?.[binding.property];
+    if (!prop) return null;
+    return EXTRACTORS[binding.type](prop);
+  }
+
+  // Raw values of every mapped field
+  extract(properties) {
+    const values = {};
+    for (const field of Object.keys(this.fields)) {
+      values[field] = this.value(properties, field);
+    }
+    return values;
+  }
+
+  // Select-like options for a field from a database schema (select, status and multi_select)
+  optionsFor(database, field) {
+    const binding = this.fields[field];
+    if (!binding) return [];
+    const prop = database?.properties?.[binding.property];
+    return prop?.[prop.type]?.options || [];
+  }
+
+  // pages.update payload entry for a field: { [propertyName]: { <type>: ... } }
+  buildProperty(field, value) {
+    const binding = this.fields[field];
+    if (!binding) return {};
+    return { [binding.property]: WRITERS[binding.type](value) };
+  }
+
+  // Compare the mapping with a live database schema (notion.databases.retrieve result)
+  validate(database) {
+    const schema = database?.properties || {};
+    const diff = [];
+
+    for (const [field, binding] of Object.entries(this.fields)) {
+      if (!binding) continue;
+      const actual = schema[binding.property];
+      if (!actual) {
+        diff.push({ field, property: binding.property, expected: binding.type, actual: 'missing' });
+      } else if (actual.type !== binding.type) {
+        diff.push({ field, property: binding.property, expected: binding.type, actual: actual.type });
+      }
+    }
+
+    return { valid: diff.length === 0, diff };
+  }
+
+  // Human-readable diff for startup errors
+  static formatDiff(diff, database) {
+    const available = Object.entries(database?.properties || {})
+      .map(([name, prop]) => `"${name}" (${prop.type})`)
+      .join(', ');
+
+    const lines = diff.map(d => d.actual === 'missing'
+      ? `- ${d.field}: property "${d.property}" (${d.expected}) not found`
+      : `- ${d.field}: property "${d.property}" is ${d.actual}, mapping expects ${d.expected}`);
+
+    return `${lines.join('\n')}\nAvailable properties: ${available || 'none'}`;
+  }
+}
@@ -0,0 +1,137 @@
+// Rate limiting shared by every Notion and Supabase call of the bridge
+//
+// One token bucket per service. Tokens refill continuously at `ratePerSecond` up to `burst`;
+// take() resolves once a token is available and waiters are served in arrival order, so
+// concurrent workers share the budget fairly. A 429 pauses the whole bucket for Retry-After.
+export class TokenBucket {
+  constructor({ ratePerSecond, burst } = {}) {
+    if (!(ratePerSecond > 0)) throw new Error('TokenBucket: ratePerSecond must be a positive number');
+    this.ratePerSecond = ratePerSecond;
+    this.burst = Math.max(1, burst || Math.ceil(ratePerSecond));
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+    this.waiters = [];
+    this.timer = null;
+    this.throttledMs = 0;
+    this.throttledRequests = 0;
+  }
+
+  refill() {
+    const now = Date.now();
+    if (now < this.pausedUntil) return;
+    const from = Math.max(this.lastRefill, this.pausedUntil);
+    this.tokens = Math.min(this.burst, this.tokens + ((now - from) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  take() {
+    return new Promise(resolve => {
+      this.waiters.push({ resolve, requestedAt: Date.now() });
+      this.drain();
+    });
+  }
+
+  // Stop handing out tokens for `ms` (e.g. Retry-After); the bucket restarts empty
+  pause(ms) {
+    const until = Date.now() + ms;
+    if (until <= this.pausedUntil) return;
+    this.pausedUntil = until;
+    this.tokens = 0;
+    this.lastRefill = until;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.drain();
+  }
+
+  // Hand out tokens to queued callers, then sleep until the next token is due
+  drain() {
+    if (this.timer) return;
+    this.refill();
+
+    const now = Date.now();
+    while (this.waiters.length > 0 && this.tokens >= 1 && now >= this.pausedUntil) {
+      this.tokens -= 1;
+      const waiter = this.waiters.shift();
+      const waited = now - waiter.requestedAt;
+      if (waited > 0) {
+        this.throttledMs += waited;
+        this.throttledRequests++;
+      }
+      waiter.resolve();
+    }
+
+    if (this.waiters.length > 0) {
+      const waitMs = now < this.pausedUntil
+        ? this.pausedUntil - now
+        : Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, waitMs);
+    }
+  }
+
+  get queueDepth() {
+    return this.waiters.length;
+  }
+}
+
+// Per-service budgets: { notion: { ratePerSecond, burst }, supabase: { ... } }
+export class RateLimiter {
+  constructor(budgets = {}) {
+    this.buckets = {};
+    for (const [service, budget] of Object.entries(budgets)) {
+      this.buckets[service] = new TokenBucket(budget);
+    }
+    this.retryAfterPauses = 0;
+  }
+
+  // Wait for a token of `service`; services without a budget pass straight through
+  async acquire(service) {
+    const bucket = this.buckets[service];
+    if (bucket) await bucket.take();
+  }
+
+  // Called with a failed call's error: on 429, pause the service for its Retry-After
+  // (or `fallbackMs` without one). Returns the pause in ms, or null when nothing was paused.
+  throttle(service, error, fallbackMs = 1000) {
+    const bucket = this.buckets[service];
+    if (!bucket || error?.status !== 429) return null;
+
+    const waitMs = RateLimiter.retryAfterMs(error) ?? fallbackMs;
+    bucket.pause(waitMs);
+    this.retryAfterPauses++;
+    return waitMs;
+  }
+
+  // Retry-After from an error's response headers: delta-seconds or an HTTP date
+  static retryAfterMs(error) {
+    const headers = error?.headers || error?.response?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  stats() {
+    const services = {};
+    for (const [service, bucket] of Object.entries(this.buckets)) {
+      services[service] = {
+        rate_per_second: bucket.ratePerSecond,
+        burst: bucket.burst,
+        queue_depth: bucket.queueDepth,
+        throttled_ms: bucket.throttledMs,
+        throttled_requests: bucket.throttledRequests,
+        paused_until: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil).toISOString() : null
+      };
+    }
+    return { services, retry_after_pauses: this.retryAfterPauses };
+  }
+}
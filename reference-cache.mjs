@@ -0,0 +1,74 @@
+// Reference data used to normalize and validate pages (focus slots, ventures, domains, venture
+// and value aliases), loaded in one go and kept in memory. A sync run takes the cached copy
+// unless it is older than the TTL; invalidate() makes the next run reload it.
+export class ReferenceCache {
+  // loaders: { name: async () => rows } for each dataset, e.g. the bridge's wrapped Supabase queries
+  constructor(logger, loaders, { ttlMs = 300000 } = {}) {
+    this.logger = logger;
+    this.loaders = loaders;
+    this.ttlMs = ttlMs;
+    this.data = null;
+    this.loadedAt = null;
+    this.loading = null;
+    this.invalidatedAt = null;
+  }
+
+  get stale() {
+    return !this.data || this.invalidatedAt !== null || Date.now() - this.loadedAt >= this.ttlMs;
+  }
+
+  // The cached data, reloaded first when missing, expired or invalidated
+  async get() {
+    if (this.stale) await this.refresh();
+    return this.data;
+  }
+
+  // Reload every dataset; concurrent callers share the same load. On failure the previous
+  // data (if any) stays in place and the error is rethrown.
+  refresh() {
+    if (!this.loading) {
+      this.loading = this.load().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async load() {
+    const startedAt = Date.now();
+    const names = Object.keys(this.loaders);
+    const results = await Promise.all(names.map(name => this.loaders[name]()));
+
+    this.data = Object.fromEntries(names.map((name, i) => [name, results[i] || []]));
+    this.loadedAt = Date.now();
+    // An invalidation that arrived while loading still applies to the next run
+    if (this.invalidatedAt !== null && this.invalidatedAt < startedAt) this.invalidatedAt = null;
+    this.logger.debug('Reference data loaded', this.counts());
+    return this.data;
+  }
+
+  // Synchronous access for code that runs after get() in the same run
+  current() {
+    if (!this.data) throw new Error('Reference data is not loaded');
+    return this.data;
+  }
+
+  invalidate() {
+    this.invalidatedAt = Date.now();
+    this.logger.info('Reference data cache invalidated');
+  }
+
+  counts() {
+    return Object.fromEntries(Object.entries(this.data || {}).map(([name, rows]) => [name, rows.length]));
+  }
+
+  snapshot() {
+    return {
+      loaded_at: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      expires_at: this.loadedAt ? new Date(this.loadedAt + this.ttlMs).toISOString() : null,
+      invalidated_at: this.invalidatedAt ? new Date(this.invalidatedAt).toISOString() : null,
+      ttl_seconds: Math.round(this.ttlMs / 1000),
+      counts: this.counts()
+    };
+  }
+}
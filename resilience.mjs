@@ -0,0 +1,139 @@
+// Resilience helpers for external calls: error classification, jittered backoff and circuit breakers
+
+// Network-level failures (Node, undici and the Notion client's own timeout)
+const NETWORK_CODES = [
+  'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT',
+  'notionhq_client_request_timeout'
+];
+
+// Notion API error codes (error.code on APIResponseError)
+const NOTION_TRANSIENT = ['internal_server_error', 'service_unavailable', 'database_connection_unavailable', 'gateway_timeout'];
+
+// PostgREST errors that mean the database or connection pool is unavailable
+const POSTGREST_TRANSIENT = ['PGRST000', 'PGRST001', 'PGRST002', 'PGRST003'];
+
+// Postgres SQLSTATEs worth retrying: serialization failure, deadlock, statement timeout
+const POSTGRES_RETRYABLE = ['40001', '40P01', '57014'];
+
+// Classify an error from a Notion or Supabase call.
+// kind: rate_limited | conflict | transient | network | constraint | client | unknown
+// retryable: another attempt may succeed; serviceDown: counts towards opening the circuit breaker
+export function classifyError(error) {
+  const code = error?.code ? String(error.code) : '';
+  const status = error?.status;
+  const message = error?.message || '';
+
+  if (error instanceof CircuitOpenError) {
+    return { kind: 'circuit_open', retryable: false, serviceDown: false };
+  }
+  if (status === 429 || code === 'rate_limited') {
+    return { kind: 'rate_limited', retryable: true, serviceDown: false };
+  }
+  // Notion: the page was edited concurrently; a retry usually goes through
+  if (status === 409 || code === 'conflict_error') {
+    return { kind: 'conflict', retryable: true, serviceDown: false };
+  }
+  if (NETWORK_CODES.includes(code) || /fetch failed|network|socket hang up/i.test(message)) {
+    return { kind: 'network', retryable: true, serviceDown: true };
+  }
+  if (NOTION_TRANSIENT.includes(code) || POSTGREST_TRANSIENT.includes(code) || status >= 500) {
+    return { kind: 'transient', retryable: true, serviceDown: true };
+  }
+  // Postgres connection exceptions (08xxx) and insufficient resources (53xxx)
+  if (/^(08|53)[0-9A-Z]{3}$/.test(code)) {
+    return { kind: 'transient', retryable: true, serviceDown: true };
+  }
+  if (POSTGRES_RETRYABLE.includes(code)) {
+    return { kind: 'transient', retryable: true, serviceDown: false };
+  }
+  // Integrity constraints (23xxx: unique, check, foreign key, not null): the data is wrong, not the service
+  if (/^23[0-9A-Z]{3}$/.test(code)) {
+    return { kind: 'constraint', retryable: false, serviceDown: false };
+  }
+  // Other SQLSTATEs, PostgREST request errors, Notion validation/permission/not-found errors, 4xx
+  if (/^[0-9A-Z]{5}$/.test(code) || code.startsWith('PGRST') || (status >= 400 && status < 500) || /^[a-z_]+$/.test(code)) {
+    return { kind: 'client', retryable: false, serviceDown: false };
+  }
+  return { kind: 'unknown', retryable: false, serviceDown: false };
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random, so parallel
+// workers that failed together do not retry in lockstep
+export function backoffDelay(attempt, baseDelay, maxDelay = 30000) {
+  const exponential = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+}
+
+// Thrown without calling the service while its breaker is open
+export class CircuitOpenError extends Error {
+  constructor(service, retryAt) {
+    super(`${service} circuit breaker is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.code = 'circuit_open';
+    this.service = service;
+    this.retryAt = retryAt;
+  }
+}
+
+// Circuit breaker: opens after `failureThreshold` consecutive service-down failures, rejects
+// calls for `cooldownMs`, then lets one trial call through (half_open) to decide
+export class CircuitBreaker {
+  constructor(service, { failureThreshold = 5, cooldownMs = 60000 } = {}) {
+    this.service = service;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.trialInFlight = false;
+  }
+
+  // Throws CircuitOpenError when calls should not reach the service
+  beforeCall() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.cooldownMs) {
+        throw new CircuitOpenError(this.service, this.openedAt + this.cooldownMs);
+      }
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) throw new CircuitOpenError(this.service, Date.now() + 1000);
+      this.trialInFlight = true;
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Returns true when this failure opened the breaker
+  recordFailure(error) {
+    this.trialInFlight = false;
+    this.consecutiveFailures++;
+    this.lastError = error?.message || String(error);
+
+    const shouldOpen = this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold;
+    if (shouldOpen && this.state !== 'open') {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      return true;
+    }
+    if (this.state === 'open') this.openedAt = Date.now();
+    return false;
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      last_error: this.lastError
+    };
+  }
+}
@@ -0,0 +1,14 @@
+-- Versioned content hashes for the Notion bridge
+-- 1) integrations_notion.external_hash is now prefixed with its schema version ("v2:…");
+--    unprefixed hashes are version 1 and are migrated by the bridge as pages come by:
+--    a page that still matches its v1 hash only gets its hash rewritten, without an RPC write
+-- 2) field_hashes stores one short hash per synced field so updates can log which fields changed
+-- Safe to run multiple times
+
+ALTER TABLE integrations_notion
+ADD COLUMN IF NOT EXISTS field_hashes JSONB;
+
+-- Verify (optional): hashes still waiting for migration
+SELECT COUNT(*) FILTER (WHERE external_hash LIKE 'v2:%') AS v2_hashes,
+       COUNT(*) FILTER (WHERE external_hash !~ '^v[0-9]+:') AS legacy_hashes
+FROM integrations_notion;
@@ -0,0 +1,34 @@
+-- Multiple Notion source databases (NOTION_SOURCES_PATH / sync-sources.json)
+-- 1) integrations_notion.source records which source database a page belongs to
+--    (same key as sync_state.source; existing links belong to the original Quick Capture database)
+-- 2) The reverse sync view exposes the source so edits go back through the right property mapping
+-- Run after sql/create_orphan_reconciliation.sql. Safe to run multiple times
+
+ALTER TABLE integrations_notion
+ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'notion_quick_capture';
+
+CREATE INDEX IF NOT EXISTS idx_integrations_notion_source ON integrations_notion(source);
+
+-- Dropped first: CREATE OR REPLACE VIEW cannot insert a column in the middle
+DROP VIEW IF EXISTS tasks_pending_notion_push;
+
+CREATE VIEW tasks_pending_notion_push AS
+SELECT
+    t.id AS task_id,
+    i.notion_page_id,
+    i.source,
+    t.status,
+    t.priority,
+    t.focus_slot,
+    t.focus_date,
+    t.due_date,
+    t.updated_at,
+    i.last_seen_at
+FROM tasks t
+JOIN integrations_notion i ON i.task_id = t.id
+WHERE t.updated_at > COALESCE(i.last_seen_at, 'epoch'::timestamptz)
+  AND i.orphaned_at IS NULL
+  AND t.archived_at IS NULL;
+
+-- Verify (optional)
+SELECT source, COUNT(*) AS linked_pages FROM integrations_notion GROUP BY source ORDER BY source;
@@ -0,0 +1,14 @@
+-- Notion page body → tasks.notes (SYNC_PAGE_BODY=true)
+-- 1) tasks.notes holds the page body rendered as Markdown
+-- 2) integrations_notion.body_hash is the hash of the last synced body; an unchanged body
+--    causes no writes
+-- Safe to run multiple times
+
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+ALTER TABLE integrations_notion
+ADD COLUMN IF NOT EXISTS body_hash TEXT;
+
+-- Verify (optional)
+SELECT COUNT(*) FILTER (WHERE notes IS NOT NULL) AS tasks_with_notes FROM tasks;
@@ -0,0 +1,181 @@
+-- Task tags from a Notion multi_select property
+-- 1) tags + task_tags join table
+-- 2) create_or_update_task gains p_tags TEXT[]; when not NULL it replaces the task's tag set
+-- The bridge only sends p_tags when "tags" is mapped in notion-mapping.json.
+-- Safe to run multiple times
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS tags (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tags_name_lower ON tags(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS task_tags (
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  tag_id UUID NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (task_id, tag_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_tags_tag_id ON task_tags(tag_id);
+
+-- Drop the 11-argument version so PostgREST does not see two overloads
+DROP FUNCTION IF EXISTS create_or_update_task(
+    text, text, text, text, text, text, date, text, text, date, text
+);
+
+CREATE OR REPLACE FUNCTION create_or_update_task(
+    p_title TEXT,
+    p_venture_name TEXT,  -- Will accept venture name or slug
+    p_project_name TEXT DEFAULT NULL,
+    p_milestone_name TEXT DEFAULT NULL,
+    p_priority TEXT DEFAULT 'P2',
+    p_status TEXT DEFAULT 'To Do',
+    p_due_date DATE DEFAULT NULL,
+    p_assignee TEXT DEFAULT NULL,
+    p_notion_page_id TEXT DEFAULT NULL,
+    p_focus_date DATE DEFAULT NULL,
+    p_focus_slot TEXT DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_venture_id UUID;
+    v_domain_id UUID;
+    v_project_id UUID;
+    v_milestone_id UUID;
+    v_task_id UUID;
+    v_created BOOLEAN := FALSE;
+    v_tag TEXT;
+    v_tag_id UUID;
+BEGIN
+    -- Find venture by name or slug (case-insensitive)
+    SELECT v.id, v.primary_domain_id
+    INTO v_venture_id, v_domain_id
+    FROM ventures v
+    WHERE LOWER(v.name) = LOWER(p_venture_name)
+       OR LOWER(v.slug) = LOWER(p_venture_name)
+    LIMIT 1;
+
+    IF v_venture_id IS NULL THEN
+        RAISE EXCEPTION 'Venture not found: %', p_venture_name;
+    END IF;
+
+    -- Find or create project under the venture
+    IF p_project_name IS NOT NULL AND p_project_name != '' THEN
+        SELECT id INTO v_project_id
+        FROM projects
+        WHERE venture_id = v_venture_id
+        AND LOWER(name) = LOWER(p_project_name)
+        LIMIT 1;
+
+        IF v_project_id IS NULL THEN
+            INSERT INTO projects (name, venture_id, domain_id, status, priority, created_at, updated_at)
+            VALUES (p_project_name, v_venture_id, v_domain_id, 'Active', COALESCE(p_priority, 'P2'), NOW(), NOW())
+            RETURNING id INTO v_project_id;
+        END IF;
+    END IF;
+
+    -- Find or create milestone under the project
+    IF v_project_id IS NOT NULL AND p_milestone_name IS NOT NULL AND p_milestone_name != '' THEN
+        SELECT id INTO v_milestone_id
+        FROM milestones
+        WHERE project_id = v_project_id
+        AND LOWER(name) = LOWER(p_milestone_name)
+        LIMIT 1;
+
+        IF v_milestone_id IS NULL THEN
+            INSERT INTO milestones (name, project_id, status, priority, created_at, updated_at)
+            VALUES (p_milestone_name, v_project_id, 'in_progress', COALESCE(p_priority, 'P2'), NOW(), NOW())
+            RETURNING id INTO v_milestone_id;
+        END IF;
+    END IF;
+
+    -- Existing task for this Notion page?
+    IF p_notion_page_id IS NOT NULL THEN
+        SELECT id INTO v_task_id
+        FROM tasks
+        WHERE notion_page_id = p_notion_page_id
+        LIMIT 1;
+    END IF;
+
+    IF v_task_id IS NOT NULL THEN
+        UPDATE tasks
+        SET
+            title = p_title,
+            venture_id = v_venture_id,
+            domain_id = v_domain_id,
+            project_id = v_project_id,
+            milestone_id = v_milestone_id,
+            priority = p_priority,
+            status = p_status,
+            due_date = p_due_date,
+            assignee = p_assignee,
+            focus_date = p_focus_date,
+            focus_slot = p_focus_slot,
+            updated_at = NOW()
+        WHERE id = v_task_id;
+    ELSE
+        INSERT INTO tasks (
+            title, venture_id, domain_id, project_id, milestone_id, priority, status,
+            due_date, assignee, notion_page_id, focus_date, focus_slot, created_at, updated_at
+        )
+        VALUES (
+            p_title, v_venture_id, v_domain_id, v_project_id, v_milestone_id, p_priority, p_status,
+            p_due_date, p_assignee, p_notion_page_id, p_focus_date, p_focus_slot, NOW(), NOW()
+        )
+        RETURNING id INTO v_task_id;
+        v_created := TRUE;
+    END IF;
+
+    -- Replace the tag set (NULL leaves tags untouched)
+    IF p_tags IS NOT NULL THEN
+        DELETE FROM task_tags WHERE task_id = v_task_id;
+
+        FOREACH v_tag IN ARRAY p_tags LOOP
+            CONTINUE WHEN v_tag IS NULL OR TRIM(v_tag) = '';
+
+            SELECT id INTO v_tag_id FROM tags WHERE LOWER(name) = LOWER(TRIM(v_tag));
+            IF v_tag_id IS NULL THEN
+                INSERT INTO tags (name) VALUES (TRIM(v_tag)) RETURNING id INTO v_tag_id;
+            END IF;
+
+            INSERT INTO task_tags (task_id, tag_id)
+            VALUES (v_task_id, v_tag_id)
+            ON CONFLICT DO NOTHING;
+        END LOOP;
+    END IF;
+
+    RETURN json_build_object(
+        'task_id', v_task_id,
+        'venture_id', v_venture_id,
+        'domain_id', v_domain_id,
+        'project_id', v_project_id,
+        'milestone_id', v_milestone_id,
+        'created', v_created,
+        'updated', NOT v_created
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_or_update_task TO anon, authenticated;
+
+-- Tags per task, for dashboards
+CREATE OR REPLACE VIEW task_tag_list AS
+SELECT
+    t.id AS task_id,
+    t.title,
+    ARRAY_AGG(tg.name ORDER BY tg.name) FILTER (WHERE tg.id IS NOT NULL) AS tags
+FROM tasks t
+LEFT JOIN task_tags tt ON tt.task_id = t.id
+LEFT JOIN tags tg ON tg.id = tt.tag_id
+GROUP BY t.id, t.title;
+
+COMMIT;
@@ -1,6 +1,7 @@
 -- Bulk ingestion staging table and processing function
 -- Allows CSV/JSONL loads into bulk_tasks, then processes rows into projects/milestones/tasks
 -- using the same rules as the bridge and the create_or_update_task RPC.
+-- Requires sql/create_value_aliases.sql (normalize_value, record_unknown_value).
 
 BEGIN;
 
@@ -57,59 +58,23 @@ BEGIN
     LIMIT p_limit
   LOOP
     BEGIN
-      -- Normalize status to canonical non-emoji
-      IF rec.status IS NULL THEN
-        v_status := 'To Do';
-      ELSE
-        v_status := LOWER(rec.status);
-        IF v_status IN ('to do','todo','to-do','📝 to do') THEN
-          v_status := 'To Do';
-        ELSIF v_status LIKE 'in progress%%' OR v_status = 'in_progress' OR rec.status LIKE '🔄%%' THEN
-          v_status := 'In Progress';
-        ELSIF v_status IN ('done','complete','completed') OR rec.status LIKE '✅%%' THEN
-          v_status := 'Done';
-        ELSIF v_status IN ('on hold','on_hold') OR rec.status LIKE '⏸️%%' THEN
-          v_status := 'On Hold';
-        ELSE
-          v_status := 'To Do';
-        END IF;
+      -- Normalize through the shared value_aliases rules (sql/create_value_aliases.sql).
+      -- Unknown values still default to 'To Do' / 'P2' / no focus slot, but are recorded in unknown_values.
+      v_status := normalize_value('status', rec.status);
+      IF v_status IS NULL AND NULLIF(BTRIM(rec.status), '') IS NOT NULL THEN
+        PERFORM record_unknown_value('status', rec.status, 'bulk_tasks', 1, rec.id::text);
       END IF;
+      v_status := COALESCE(v_status, 'To Do');
 
-      -- Normalize priority to P0..P3
-      IF rec.priority IS NULL THEN
-        v_priority := 'P2';
-      ELSE
-        v_priority := LOWER(rec.priority);
-        IF v_priority LIKE '%%p0%%' OR v_priority LIKE '%%urgent%%' OR rec.priority = '🔴 P0' THEN
-          v_priority := 'P0';
-        ELSIF v_priority LIKE '%%p1%%' OR v_priority LIKE '%%high%%' OR rec.priority IN ('🟠 P1','🔴 P1') THEN
-          v_priority := 'P1';
-        ELSIF v_priority LIKE '%%p2%%' OR v_priority LIKE '%%medium%%' OR rec.priority = '🟡 P2' THEN
-          v_priority := 'P2';
-        ELSIF v_priority LIKE '%%p3%%' OR v_priority LIKE '%%low%%' OR rec.priority = '🟢 P3' THEN
-          v_priority := 'P3';
-        ELSE
-          v_priority := 'P2';
-        END IF;
+      v_priority := normalize_value('priority', rec.priority);
+      IF v_priority IS NULL AND NULLIF(BTRIM(rec.priority), '') IS NOT NULL THEN
+        PERFORM record_unknown_value('priority', rec.priority, 'bulk_tasks', 1, rec.id::text);
       END IF;
+      v_priority := COALESCE(v_priority, 'P2');
 
-      -- Normalize focus_slot via focus_slots list (case-insensitive)
-      v_focus_slot := NULL;
-      IF rec.focus_slot IS NOT NULL AND rec.focus_slot <> '' THEN
-        -- exact CI match
-        SELECT slot INTO v_focus_slot
-        FROM focus_slots
-        WHERE LOWER(slot) = LOWER(rec.focus_slot)
-        LIMIT 1;
-
-        -- partial CI match if exact not found
-        IF v_focus_slot IS NULL THEN
-          SELECT slot INTO v_focus_slot
-          FROM focus_slots
-          WHERE LOWER(slot) LIKE LOWER('%%' || rec.focus_slot || '%%')
-             OR LOWER(rec.focus_slot) LIKE LOWER('%%' || slot || '%%')
-          LIMIT 1;
-        END IF;
+      v_focus_slot := normalize_value('focus_slot', rec.focus_slot);
+      IF v_focus_slot IS NULL AND NULLIF(BTRIM(rec.focus_slot), '') IS NOT NULL THEN
+        PERFORM record_unknown_value('focus_slot', rec.focus_slot, 'bulk_tasks', 1, rec.id::text);
       END IF;
 
       -- Call the existing RPC to create or update the task
@@ -0,0 +1,32 @@
+-- API keys for the bridge's management API (see api-keys.mjs)
+-- 1) api_keys: sha256 hash of each key (the key itself is never stored), a short prefix to tell
+--    keys apart, scopes (read, sync, admin), optional expiry and revocation
+-- 2) RLS on with no policies: only the service role (the bridge) can read or write keys
+-- Create the first key with: npm run create-api-key -- --name=<name> --scopes=admin
+-- Safe to run multiple times
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT ARRAY['read']
+        CHECK (cardinality(scopes) > 0 AND scopes <@ ARRAY['read', 'sync', 'admin']),
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+-- API audit entries are written to ops_logs (operation 'api_request'); see sql/fix_ops_logs_core.sql
+CREATE INDEX IF NOT EXISTS idx_ops_logs_operation ON ops_logs(operation, created_at DESC);
+
+COMMIT;
+
+-- Verify (optional)
+SELECT id, name, key_prefix, scopes, expires_at, revoked_at, last_used_at FROM api_keys ORDER BY created_at;
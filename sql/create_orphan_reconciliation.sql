@@ -0,0 +1,35 @@
+-- Orphaned task reconciliation (Notion pages archived, moved to trash or deleted)
+-- 1) tasks.archived_at marks tasks soft-deleted by ORPHAN_ACTION=soft_delete
+-- 2) integrations_notion.orphaned_at marks links whose page is gone; the bridge clears it
+--    when the page is synced again (restored from trash)
+-- 3) The reverse sync view skips orphaned links and archived tasks
+-- Run after sql/create_reverse_sync.sql. Safe to run multiple times
+
+ALTER TABLE tasks
+ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ NULL;
+
+ALTER TABLE integrations_notion
+ADD COLUMN IF NOT EXISTS orphaned_at TIMESTAMPTZ NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_archived_at ON tasks(archived_at);
+CREATE INDEX IF NOT EXISTS idx_integrations_notion_orphaned_at ON integrations_notion(orphaned_at);
+
+CREATE OR REPLACE VIEW tasks_pending_notion_push AS
+SELECT
+    t.id AS task_id,
+    i.notion_page_id,
+    t.status,
+    t.priority,
+    t.focus_slot,
+    t.focus_date,
+    t.due_date,
+    t.updated_at,
+    i.last_seen_at
+FROM tasks t
+JOIN integrations_notion i ON i.task_id = t.id
+WHERE t.updated_at > COALESCE(i.last_seen_at, 'epoch'::timestamptz)
+  AND i.orphaned_at IS NULL
+  AND t.archived_at IS NULL;
+
+-- Verify (optional)
+SELECT COUNT(*) AS orphaned_links FROM integrations_notion WHERE orphaned_at IS NOT NULL;
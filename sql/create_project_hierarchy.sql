@@ -0,0 +1,110 @@
+-- Project and milestone management (/api/projects, /api/milestones)
+-- 1) projects.archived_at / milestones.archived_at: archived instead of deleted, so tasks keep their links;
+--    milestones gain description and due_date
+-- 2) move_project_to_venture(project, venture) moves a project and keeps venture_id/domain_id of its
+--    tasks in step, in one transaction
+-- 3) project_task_rollups / milestone_task_rollups: task counts by status (archived tasks excluded)
+-- 4) move_project_to_venture is SECURITY DEFINER, so only service_role (the bridge) may call it;
+--    the public anon key must not bypass the API's admin scope
+-- Run after sql/create_orphan_reconciliation.sql (tasks.archived_at). Safe to run multiple times
+
+BEGIN;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ NULL;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ NULL;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE milestones ADD COLUMN IF NOT EXISTS due_date DATE;
+
+CREATE INDEX IF NOT EXISTS idx_projects_archived_at ON projects(archived_at);
+CREATE INDEX IF NOT EXISTS idx_milestones_project_id ON milestones(project_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_milestone_id ON tasks(milestone_id);
+
+-- Raises P0002 when the project or venture does not exist, 23505 when the venture already has a
+-- project of that name (create_or_update_task finds projects by name within a venture).
+-- tasks.updated_at is left alone: the reverse sync cannot carry a venture change to Notion.
+CREATE OR REPLACE FUNCTION move_project_to_venture(p_project_id UUID, p_venture_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_project projects%ROWTYPE;
+    v_domain_id UUID;
+    v_tasks INTEGER;
+BEGIN
+    SELECT * INTO v_project FROM projects WHERE id = p_project_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Project not found: %', p_project_id USING ERRCODE = 'P0002';
+    END IF;
+
+    SELECT primary_domain_id INTO v_domain_id FROM ventures WHERE id = p_venture_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Venture not found: %', p_venture_id USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_project.venture_id IS NOT DISTINCT FROM p_venture_id THEN
+        RETURN json_build_object('project_id', p_project_id, 'venture_id', p_venture_id, 'domain_id', v_domain_id,
+                                 'moved', FALSE, 'tasks_updated', 0);
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM projects
+        WHERE venture_id = p_venture_id AND id <> p_project_id AND LOWER(name) = LOWER(v_project.name)
+    ) THEN
+        RAISE EXCEPTION 'Venture already has a project named "%"', v_project.name USING ERRCODE = '23505';
+    END IF;
+
+    UPDATE projects
+    SET venture_id = p_venture_id, domain_id = v_domain_id, updated_at = NOW()
+    WHERE id = p_project_id;
+
+    UPDATE tasks
+    SET venture_id = p_venture_id, domain_id = v_domain_id
+    WHERE project_id = p_project_id;
+    GET DIAGNOSTICS v_tasks = ROW_COUNT;
+
+    RETURN json_build_object('project_id', p_project_id, 'venture_id', p_venture_id, 'domain_id', v_domain_id,
+                             'moved', TRUE, 'tasks_updated', v_tasks);
+END;
+$$;
+
+-- Functions are executable by PUBLIC by default; earlier runs of this file granted anon and authenticated
+REVOKE EXECUTE ON FUNCTION move_project_to_venture FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION move_project_to_venture TO service_role;
+
+CREATE OR REPLACE VIEW project_task_rollups AS
+SELECT
+    p.id AS project_id,
+    COALESCE(SUM(s.tasks), 0)::INTEGER AS tasks_total,
+    COALESCE(SUM(s.tasks) FILTER (WHERE s.status IN ('Done', '✅ Done', 'Completed', 'completed')), 0)::INTEGER AS tasks_done,
+    COALESCE(jsonb_object_agg(s.status, s.tasks) FILTER (WHERE s.status IS NOT NULL), '{}'::jsonb) AS tasks_by_status
+FROM projects p
+LEFT JOIN LATERAL (
+    SELECT COALESCE(status, 'none') AS status, COUNT(*) AS tasks
+    FROM tasks
+    WHERE project_id = p.id AND archived_at IS NULL
+    GROUP BY COALESCE(status, 'none')
+) s ON TRUE
+GROUP BY p.id;
+
+CREATE OR REPLACE VIEW milestone_task_rollups AS
+SELECT
+    m.id AS milestone_id,
+    m.project_id,
+    COALESCE(SUM(s.tasks), 0)::INTEGER AS tasks_total,
+    COALESCE(SUM(s.tasks) FILTER (WHERE s.status IN ('Done', '✅ Done', 'Completed', 'completed')), 0)::INTEGER AS tasks_done,
+    COALESCE(jsonb_object_agg(s.status, s.tasks) FILTER (WHERE s.status IS NOT NULL), '{}'::jsonb) AS tasks_by_status
+FROM milestones m
+LEFT JOIN LATERAL (
+    SELECT COALESCE(status, 'none') AS status, COUNT(*) AS tasks
+    FROM tasks
+    WHERE milestone_id = m.id AND archived_at IS NULL
+    GROUP BY COALESCE(status, 'none')
+) s ON TRUE
+GROUP BY m.id, m.project_id;
+
+COMMIT;
+
+-- Verify (optional)
+SELECT * FROM project_task_rollups ORDER BY tasks_total DESC LIMIT 20;
@@ -0,0 +1,26 @@
+-- Reverse sync support: tasks edited in Supabase after their Notion page was last synced
+-- The bridge reads this view, writes Status/Priority/Focus Slot/Focus Date/Due Date back to
+-- the linked Notion page, then bumps integrations_notion.last_seen_at and external_hash.
+-- Safe to run multiple times
+
+CREATE OR REPLACE VIEW tasks_pending_notion_push AS
+SELECT
+    t.id AS task_id,
+    i.notion_page_id,
+    t.status,
+    t.priority,
+    t.focus_slot,
+    t.focus_date,
+    t.due_date,
+    t.updated_at,
+    i.last_seen_at
+FROM tasks t
+JOIN integrations_notion i ON i.task_id = t.id
+WHERE t.updated_at > COALESCE(i.last_seen_at, 'epoch'::timestamptz);
+
+-- Helps the join above and the per-page lookups in the bridge
+CREATE INDEX IF NOT EXISTS idx_integrations_notion_task_id ON integrations_notion(task_id);
+CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(updated_at);
+
+-- Verify (optional)
+SELECT COUNT(*) AS pending_push FROM tasks_pending_notion_push;
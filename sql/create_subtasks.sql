@@ -0,0 +1,95 @@
+-- Subtasks from Notion to-do blocks (SYNC_PAGE_BODY=true, SYNC_SUBTASKS not false)
+-- 1) subtasks: one row per to-do block of a task's Notion page, keyed by the block ID
+-- 2) sync_subtasks(task_id, subtasks) replaces a task's subtasks with the page's current to-dos:
+--    new blocks are inserted, edited or (un)checked ones updated, removed ones deleted
+-- 3) task_progress: per task counts of subtasks and done subtasks, for dashboards
+-- Run after sql/add_task_notes.sql. Safe to run multiple times
+-- sync_subtasks is SECURITY DEFINER and rewrites any task's subtasks, so it is granted to service_role
+-- only: the bridge needs SUPABASE_SERVICE_ROLE to sync subtasks once this is applied.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS subtasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    notion_block_id TEXT UNIQUE,
+    title TEXT NOT NULL,
+    checked BOOLEAN NOT NULL DEFAULT FALSE,
+    position INTEGER NOT NULL DEFAULT 0,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subtasks_task ON subtasks(task_id, position);
+
+-- p_subtasks: [{ "notion_block_id": "...", "title": "...", "checked": true, "position": 0 }, ...]
+CREATE OR REPLACE FUNCTION sync_subtasks(p_task_id UUID, p_subtasks JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_upserted INTEGER;
+    v_deleted INTEGER;
+BEGIN
+    WITH incoming AS (
+        SELECT
+            item->>'notion_block_id' AS notion_block_id,
+            item->>'title' AS title,
+            COALESCE((item->>'checked')::boolean, FALSE) AS checked,
+            COALESCE((item->>'position')::integer, 0) AS position
+        FROM jsonb_array_elements(COALESCE(p_subtasks, '[]'::jsonb)) AS item
+    )
+    INSERT INTO subtasks (task_id, notion_block_id, title, checked, position, completed_at)
+    SELECT p_task_id, notion_block_id, title, checked, position, CASE WHEN checked THEN NOW() END
+    FROM incoming
+    ON CONFLICT (notion_block_id) DO UPDATE
+    SET task_id = EXCLUDED.task_id,
+        title = EXCLUDED.title,
+        checked = EXCLUDED.checked,
+        position = EXCLUDED.position,
+        completed_at = CASE
+            WHEN NOT EXCLUDED.checked THEN NULL
+            WHEN subtasks.checked THEN subtasks.completed_at
+            ELSE NOW()
+        END,
+        updated_at = NOW()
+    WHERE (subtasks.task_id, subtasks.title, subtasks.checked, subtasks.position)
+          IS DISTINCT FROM (EXCLUDED.task_id, EXCLUDED.title, EXCLUDED.checked, EXCLUDED.position);
+    GET DIAGNOSTICS v_upserted = ROW_COUNT;
+
+    DELETE FROM subtasks
+    WHERE task_id = p_task_id
+      AND notion_block_id NOT IN (
+          SELECT item->>'notion_block_id'
+          FROM jsonb_array_elements(COALESCE(p_subtasks, '[]'::jsonb)) AS item
+      );
+    GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+    RETURN json_build_object('task_id', p_task_id, 'changed', v_upserted, 'deleted', v_deleted);
+END;
+$$;
+
+-- Functions are executable by PUBLIC by default; earlier runs of this file granted anon and authenticated
+REVOKE EXECUTE ON FUNCTION sync_subtasks FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION sync_subtasks TO service_role;
+
+CREATE OR REPLACE VIEW task_progress AS
+SELECT
+    t.id AS task_id,
+    t.title,
+    t.status,
+    COUNT(s.id) AS subtasks_total,
+    COUNT(s.id) FILTER (WHERE s.checked) AS subtasks_done,
+    CASE WHEN COUNT(s.id) = 0 THEN NULL
+         ELSE ROUND(100.0 * COUNT(s.id) FILTER (WHERE s.checked) / COUNT(s.id))
+    END AS progress_pct
+FROM tasks t
+LEFT JOIN subtasks s ON s.task_id = t.id
+GROUP BY t.id, t.title, t.status;
+
+COMMIT;
+
+-- Verify (optional)
+SELECT * FROM task_progress WHERE subtasks_total > 0 ORDER BY progress_pct LIMIT 20;
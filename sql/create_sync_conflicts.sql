@@ -0,0 +1,31 @@
+-- Conflict detection between Notion and Supabase edits
+-- 1) integrations_notion.synced_values keeps the normalized two-way fields as of the last sync
+--    (status, priority, focusSlot, focusDate, dueDate); the bridge diffs both sides against it.
+-- 2) sync_conflicts holds conflicts the configured CONFLICT_POLICY left for manual resolution.
+-- Safe to run multiple times
+
+ALTER TABLE integrations_notion
+ADD COLUMN IF NOT EXISTS synced_values JSONB;
+
+CREATE TABLE IF NOT EXISTS sync_conflicts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  notion_page_id TEXT NOT NULL,
+  field TEXT NOT NULL,                -- bridge field name: status, priority, focusSlot, focusDate, dueDate
+  base_value TEXT NULL,               -- value at the last sync
+  notion_value TEXT NULL,
+  supabase_value TEXT NULL,
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  resolution TEXT NULL CHECK (resolution IN ('notion', 'supabase')),
+  resolved_by TEXT NULL,
+  detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ NULL
+);
+
+-- At most one open conflict per task field
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_conflicts_open_field
+  ON sync_conflicts(task_id, field) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_sync_conflicts_status ON sync_conflicts(status);
+
+-- Verify (optional)
+SELECT 'sync_conflicts ready' AS info;
@@ -0,0 +1,27 @@
+-- Failed page tracking for the Notion bridge
+-- 1) sync_failures holds one row per Notion page that errored during a sync
+-- 2) pending rows are retried with backoff (next_retry_at); after SYNC_FAILURE_MAX_ATTEMPTS
+--    they become dead and wait for a manual retry (--retry-failures or POST /api/sync/failures/retry)
+-- 3) resolved rows are kept as history
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS sync_failures (
+    notion_page_id TEXT PRIMARY KEY,
+    source TEXT NOT NULL DEFAULT 'notion_quick_capture',
+    error TEXT,
+    error_code TEXT,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'dead', 'resolved')),
+    page_edited_at TIMESTAMPTZ,
+    first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    next_retry_at TIMESTAMPTZ,
+    resolved_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_failures_status_retry ON sync_failures(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_sync_failures_source ON sync_failures(source);
+
+-- Verify (optional)
+SELECT status, COUNT(*) AS pages FROM sync_failures GROUP BY status ORDER BY status;
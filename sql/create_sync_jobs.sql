@@ -0,0 +1,89 @@
+-- Sync jobs and the sync lease (see sync-jobs.mjs)
+-- 1) sync_jobs: one row per sync requested through POST /api/sync, with status, progress
+--    (pages done/total) and the run's summary, so GET /api/sync/jobs/:id works on any replica
+-- 2) sync_locks + acquire_sync_lock / release_sync_lock: a lease that lets one replica sync at a time.
+--    A session advisory lock does not fit here: PostgREST runs every RPC in its own transaction on a
+--    pooled connection, so the lock would be gone (or stuck on the pooled connection) after the call.
+--    The lease expires on its own when a replica dies mid-run; the holder renews it while running.
+-- 3) RLS on both tables with no policies, and the lease functions executable by service_role only:
+--    with the public anon key anyone could otherwise hold the lease and stop every replica syncing.
+--    The bridge needs SUPABASE_SERVICE_ROLE for the lease and job status.
+-- Without this file the bridge still runs one sync at a time per process. Safe to run multiple times
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS sync_jobs (
+    id UUID PRIMARY KEY,
+    status TEXT NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'skipped')),
+    trigger TEXT NOT NULL DEFAULT 'api',
+    requested_by TEXT,
+    holder TEXT,
+    progress JSONB NOT NULL DEFAULT '{}'::jsonb,
+    summary JSONB,
+    error TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMPTZ,
+    finished_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE sync_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_sync_jobs_created_at ON sync_jobs(created_at DESC);
+
+CREATE TABLE IF NOT EXISTS sync_locks (
+    name TEXT PRIMARY KEY,
+    holder TEXT NOT NULL,
+    acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+ALTER TABLE sync_locks ENABLE ROW LEVEL SECURITY;
+
+-- Takes the lease when it is free or expired; the current holder calling again renews it.
+-- Returns { acquired, holder, expires_at } with the holder that has it after the call.
+CREATE OR REPLACE FUNCTION acquire_sync_lock(p_name TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_lock sync_locks%ROWTYPE;
+BEGIN
+    INSERT INTO sync_locks (name, holder, acquired_at, expires_at)
+    VALUES (p_name, p_holder, NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+    ON CONFLICT (name) DO UPDATE
+    SET holder = EXCLUDED.holder,
+        acquired_at = CASE WHEN sync_locks.holder = EXCLUDED.holder THEN sync_locks.acquired_at ELSE NOW() END,
+        expires_at = EXCLUDED.expires_at
+    WHERE sync_locks.holder = EXCLUDED.holder OR sync_locks.expires_at < NOW();
+
+    SELECT * INTO v_lock FROM sync_locks WHERE name = p_name;
+    RETURN json_build_object('acquired', v_lock.holder = p_holder, 'holder', v_lock.holder, 'expires_at', v_lock.expires_at);
+END;
+$$;
+
+-- Only the holder can release; returns whether it held the lease
+CREATE OR REPLACE FUNCTION release_sync_lock(p_name TEXT, p_holder TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    DELETE FROM sync_locks WHERE name = p_name AND holder = p_holder;
+    RETURN FOUND;
+END;
+$$;
+
+-- Functions are executable by PUBLIC by default; earlier runs of this file granted anon and authenticated
+REVOKE EXECUTE ON FUNCTION acquire_sync_lock FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_sync_lock FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION acquire_sync_lock TO service_role;
+GRANT EXECUTE ON FUNCTION release_sync_lock TO service_role;
+
+COMMIT;
+
+-- Verify (optional)
+SELECT name, holder, acquired_at, expires_at FROM sync_locks;
+SELECT id, status, trigger, progress, error, created_at FROM sync_jobs ORDER BY created_at DESC LIMIT 20;
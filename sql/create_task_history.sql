@@ -0,0 +1,121 @@
+-- Page snapshots and task history
+-- 1) notion_page_snapshots: the normalized property payload the bridge sent for a page, one row per
+--    sync with a per-page version number (record_page_snapshot keeps the latest p_keep versions)
+-- 2) task_history: field-level before/after of every change to tasks, written by a trigger, so every
+--    create_or_update_task call (and any other write) is audited. Rows outlive a deleted task.
+-- record_page_snapshot is SECURITY DEFINER and can write or prune any page's snapshots, so it is
+-- granted to service_role only: the bridge needs SUPABASE_SERVICE_ROLE to record snapshots.
+-- Safe to run multiple times
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS notion_page_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    notion_page_id TEXT NOT NULL,
+    source TEXT NOT NULL DEFAULT 'notion_quick_capture',
+    task_id UUID,
+    version INTEGER NOT NULL,
+    hash TEXT,
+    properties JSONB NOT NULL,
+    synced_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE (notion_page_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notion_page_snapshots_task ON notion_page_snapshots(task_id, version DESC);
+
+CREATE TABLE IF NOT EXISTS task_history (
+    id BIGSERIAL PRIMARY KEY,
+    task_id UUID NOT NULL,
+    change_type TEXT NOT NULL CHECK (change_type IN ('created', 'updated', 'deleted')),
+    field TEXT,
+    old_value JSONB,
+    new_value JSONB,
+    notion_page_id TEXT,
+    changed_by TEXT NOT NULL DEFAULT CURRENT_USER,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_history_task ON task_history(task_id, changed_at DESC);
+
+-- Store a snapshot as the page's next version; returns that version
+CREATE OR REPLACE FUNCTION record_page_snapshot(
+    p_notion_page_id TEXT,
+    p_source TEXT,
+    p_task_id UUID,
+    p_hash TEXT,
+    p_properties JSONB,
+    p_keep INTEGER DEFAULT 20
+)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_version INTEGER;
+BEGIN
+    SELECT COALESCE(MAX(version), 0) + 1 INTO v_version
+    FROM notion_page_snapshots
+    WHERE notion_page_id = p_notion_page_id;
+
+    INSERT INTO notion_page_snapshots (notion_page_id, source, task_id, version, hash, properties)
+    VALUES (p_notion_page_id, COALESCE(p_source, 'notion_quick_capture'), p_task_id, v_version, p_hash, p_properties);
+
+    IF p_keep IS NOT NULL AND p_keep > 0 THEN
+        DELETE FROM notion_page_snapshots
+        WHERE notion_page_id = p_notion_page_id
+          AND version <= v_version - p_keep;
+    END IF;
+
+    RETURN v_version;
+END;
+$$;
+
+-- Functions are executable by PUBLIC by default; earlier runs of this file granted anon and authenticated
+REVOKE EXECUTE ON FUNCTION record_page_snapshot FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_page_snapshot TO service_role;
+
+-- One task_history row per changed column; bookkeeping columns are not audited
+CREATE OR REPLACE FUNCTION record_task_history()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_old JSONB := CASE WHEN TG_OP = 'INSERT' THEN '{}'::jsonb ELSE to_jsonb(OLD) END;
+    v_new JSONB := CASE WHEN TG_OP = 'DELETE' THEN '{}'::jsonb ELSE to_jsonb(NEW) END;
+    v_field TEXT;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO task_history (task_id, change_type, old_value, notion_page_id)
+        VALUES (OLD.id, 'deleted', v_old, OLD.notion_page_id);
+        RETURN OLD;
+    END IF;
+
+    FOR v_field IN SELECT jsonb_object_keys(v_new) LOOP
+        CONTINUE WHEN v_field IN ('id', 'created_at', 'updated_at');
+        CONTINUE WHEN (v_old -> v_field) IS NOT DISTINCT FROM (v_new -> v_field);
+        CONTINUE WHEN TG_OP = 'INSERT' AND (v_new -> v_field) = 'null'::jsonb;
+
+        INSERT INTO task_history (task_id, change_type, field, old_value, new_value, notion_page_id)
+        VALUES (
+            NEW.id,
+            CASE WHEN TG_OP = 'INSERT' THEN 'created' ELSE 'updated' END,
+            v_field,
+            v_old -> v_field,
+            v_new -> v_field,
+            NEW.notion_page_id
+        );
+    END LOOP;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS tasks_record_history ON tasks;
+CREATE TRIGGER tasks_record_history
+AFTER INSERT OR UPDATE OR DELETE ON tasks
+FOR EACH ROW EXECUTE FUNCTION record_task_history();
+
+COMMIT;
+
+-- Verify (optional)
+SELECT field, COUNT(*) AS changes FROM task_history GROUP BY field ORDER BY changes DESC;
@@ -0,0 +1,139 @@
+-- Data-driven normalization of status, priority and focus slot values
+-- 1) value_aliases holds the rules shared by the bridge (normalization.mjs) and SQL (normalize_value)
+--    - match_type 'exact': the whole value equals pattern (case-insensitive)
+--    - match_type 'contains': the value contains pattern (case-insensitive), lowest position wins
+-- 2) normalize_value(kind, value) returns the canonical value, or NULL when no rule matches.
+--    Focus slots are also matched against focus_slots: exactly (leading emoji stripped), then partially.
+-- 3) unknown_values collects values no rule matched (record_unknown_value), from the bridge and
+--    process_bulk_tasks, so they can be added as aliases instead of silently defaulting
+-- Apply before sql/bulk_ingestion.sql. Safe to run multiple times
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS value_aliases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    kind TEXT NOT NULL CHECK (kind IN ('status', 'priority', 'focus_slot')),
+    match_type TEXT NOT NULL DEFAULT 'exact' CHECK (match_type IN ('exact', 'contains')),
+    pattern TEXT NOT NULL,
+    value TEXT NOT NULL,
+    position INTEGER NOT NULL DEFAULT 100,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_value_aliases_rule ON value_aliases(kind, match_type, LOWER(pattern));
+
+-- Seed: the union of the tables previously hardcoded in the bridge and in process_bulk_tasks
+INSERT INTO value_aliases (kind, match_type, pattern, value, position) VALUES
+    ('status', 'exact', 'to do', 'To Do', 0),
+    ('status', 'exact', 'todo', 'To Do', 0),
+    ('status', 'exact', 'to-do', 'To Do', 0),
+    ('status', 'exact', 'in_progress', 'In Progress', 0),
+    ('status', 'exact', 'on_hold', 'On Hold', 0),
+    ('status', 'contains', 'hold', 'On Hold', 10),
+    ('status', 'contains', 'progress', 'In Progress', 20),
+    ('status', 'contains', 'done', 'Done', 30),
+    ('status', 'contains', 'complete', 'Done', 31),
+    ('status', 'contains', 'to do', 'To Do', 40),
+    ('status', 'contains', '⏸', 'On Hold', 50),
+    ('status', 'contains', '🔄', 'In Progress', 51),
+    ('status', 'contains', '✅', 'Done', 52),
+    ('status', 'contains', '📝', 'To Do', 53),
+    ('priority', 'contains', 'p0', 'P0', 10),
+    ('priority', 'contains', 'urgent', 'P0', 11),
+    ('priority', 'contains', 'p1', 'P1', 20),
+    ('priority', 'contains', 'high', 'P1', 21),
+    ('priority', 'contains', '🔥', 'P1', 22),
+    ('priority', 'contains', '🟠', 'P1', 23),
+    ('priority', 'contains', 'p2', 'P2', 30),
+    ('priority', 'contains', 'medium', 'P2', 31),
+    ('priority', 'contains', '🟡', 'P2', 32),
+    ('priority', 'contains', 'p3', 'P3', 40),
+    ('priority', 'contains', 'low', 'P3', 41),
+    ('priority', 'contains', '🟢', 'P3', 42)
+ON CONFLICT DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS unknown_values (
+    kind TEXT NOT NULL,
+    value TEXT NOT NULL,
+    source TEXT NOT NULL,
+    occurrences INTEGER NOT NULL DEFAULT 1,
+    example_ref TEXT,
+    first_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (kind, value, source)
+);
+
+CREATE OR REPLACE FUNCTION normalize_value(p_kind TEXT, p_value TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_value TEXT := BTRIM(p_value);
+    v_stripped TEXT;
+    v_result TEXT;
+BEGIN
+    IF v_value IS NULL OR v_value = '' THEN
+        RETURN NULL;
+    END IF;
+    -- Leading emoji, punctuation and spaces ("🎯 Deep Work Block 1" → "Deep Work Block 1")
+    v_stripped := REGEXP_REPLACE(v_value, '^[^[:alnum:]]+', '');
+
+    SELECT value INTO v_result
+    FROM value_aliases
+    WHERE kind = p_kind AND match_type = 'exact' AND LOWER(pattern) = LOWER(v_value)
+    ORDER BY position
+    LIMIT 1;
+    IF v_result IS NOT NULL THEN RETURN v_result; END IF;
+
+    IF p_kind = 'focus_slot' THEN
+        SELECT slot INTO v_result
+        FROM focus_slots
+        WHERE LOWER(slot) = LOWER(v_stripped)
+        LIMIT 1;
+        IF v_result IS NOT NULL THEN RETURN v_result; END IF;
+    END IF;
+
+    SELECT value INTO v_result
+    FROM value_aliases
+    WHERE kind = p_kind AND match_type = 'contains' AND STRPOS(LOWER(v_value), LOWER(pattern)) > 0
+    ORDER BY position
+    LIMIT 1;
+    IF v_result IS NOT NULL THEN RETURN v_result; END IF;
+
+    IF p_kind = 'focus_slot' AND v_stripped <> '' THEN
+        SELECT slot INTO v_result
+        FROM focus_slots
+        WHERE STRPOS(LOWER(slot), LOWER(v_stripped)) > 0
+           OR STRPOS(LOWER(v_stripped), LOWER(slot)) > 0
+        ORDER BY slot
+        LIMIT 1;
+    END IF;
+
+    RETURN v_result;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION record_unknown_value(
+    p_kind TEXT,
+    p_value TEXT,
+    p_source TEXT,
+    p_count INTEGER DEFAULT 1,
+    p_example_ref TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    INSERT INTO unknown_values (kind, value, source, occurrences, example_ref)
+    VALUES (p_kind, p_value, p_source, p_count, p_example_ref)
+    ON CONFLICT (kind, value, source) DO UPDATE
+    SET occurrences = unknown_values.occurrences + EXCLUDED.occurrences,
+        example_ref = COALESCE(EXCLUDED.example_ref, unknown_values.example_ref),
+        last_seen_at = NOW();
+$$;
+
+COMMIT;
+
+-- Verify (optional)
+SELECT normalize_value('priority', '🟠 P1') AS p1, normalize_value('status', '⏸️ On Hold') AS on_hold,
+       normalize_value('focus_slot', '🎯 Deep Work Block 1') AS slot;
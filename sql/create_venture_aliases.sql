@@ -0,0 +1,29 @@
+-- Venture aliases for the Notion bridge
+-- 1) venture_aliases maps extra spellings of a venture (e.g. an old Notion select option,
+--    an abbreviation) to a ventures row
+-- 2) The bridge matches Notion's Venture select on slug, name, slugified name, then alias;
+--    aliases are compared case-insensitively and after slugifying ("AMO Synd." → "amo-synd")
+-- 3) Aliases are loaded once per sync run
+-- Safe to run multiple times
+
+CREATE TABLE IF NOT EXISTS venture_aliases (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    alias TEXT NOT NULL,
+    venture_id UUID NOT NULL REFERENCES ventures(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One venture per alias, whatever the case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_venture_aliases_alias ON venture_aliases(LOWER(alias));
+CREATE INDEX IF NOT EXISTS idx_venture_aliases_venture ON venture_aliases(venture_id);
+
+-- Example:
+-- INSERT INTO venture_aliases (alias, venture_id)
+-- SELECT 'AMO', id FROM ventures WHERE slug = 'amo-syndicate'
+-- ON CONFLICT DO NOTHING;
+
+-- Verify (optional)
+SELECT a.alias, v.slug, v.name
+FROM venture_aliases a
+JOIN ventures v ON v.id = a.venture_id
+ORDER BY v.slug, a.alias;
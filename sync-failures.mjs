@@ -0,0 +1,145 @@
+// Failed page tracking: pages that errored during a sync are stored in sync_failures and
+// retried on later runs with exponential backoff, until they succeed or run out of attempts
+export const FAILURE_STATUSES = ['pending', 'dead', 'resolved'];
+
+export class SyncFailureTracker {
+  constructor(logger, supabase, config = {}) {
+    this.logger = logger;
+    this.supabase = supabase;
+    this.maxAttempts = config.maxAttempts || 5;
+    this.baseDelayMinutes = config.baseDelayMinutes || 5;
+    this.maxDelayMinutes = config.maxDelayMinutes || 360;
+  }
+
+  // Minutes to wait before retry number `attempts` + 1: base, 2x base, 4x base ... capped
+  backoffMinutes(attempts) {
+    return Math.min(this.baseDelayMinutes * Math.pow(2, Math.max(attempts - 1, 0)), this.maxDelayMinutes);
+  }
+
+  // Open (pending or dead) failures of one source, keyed by notion_page_id
+  async openFailures(sourceKey) {
+    const { data, error } = await this.supabase
+      .from('sync_failures')
+      .select('*')
+      .eq('source', sourceKey)
+      .in('status', ['pending', 'dead']);
+
+    if (error) throw error;
+    return new Map((data || []).map(row => [row.notion_page_id, row]));
+  }
+
+  // Pending failures whose backoff has elapsed
+  async dueFailures(limit = 50) {
+    const { data, error } = await this.supabase
+      .from('sync_failures')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_retry_at', new Date().toISOString())
+      .order('next_retry_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Why a page with an open failure should not be processed now: 'deferred' while its backoff
+  // runs, 'dead' once it gave up; null when it is due or was edited after it last failed
+  skipReason(failure, page) {
+    if (!failure) return null;
+    if (new Date(page.last_edited_time).getTime() > new Date(failure.last_failed_at).getTime()) return null;
+    if (failure.status === 'dead') return 'dead';
+    if (new Date(failure.next_retry_at).getTime() > Date.now()) return 'deferred';
+    return null;
+  }
+
+  // Record (or bump) a failure; returns the stored row
+  async recordFailure(sourceKey, page, error) {
+    const { data: previous, error: lookupError } = await this.supabase
+      .from('sync_failures')
+      .select('attempts, first_failed_at, status')
+      .eq('notion_page_id', page.id)
+      .maybeSingle();
+
+    if (lookupError) throw lookupError;
+
+    // A resolved row starts a fresh series of attempts
+    const open = previous && previous.status !== 'resolved';
+    const attempts = (open ? previous.attempts : 0) + 1;
+    const now = Date.now();
+    const dead = attempts >= this.maxAttempts;
+
+    const row = {
+      notion_page_id: page.id,
+      source: sourceKey,
+      error: error.message,
+      error_code: error.code ? String(error.code) : null,
+      attempts,
+      status: dead ? 'dead' : 'pending',
+      page_edited_at: page.last_edited_time || null,
+      first_failed_at: open ? previous.first_failed_at : new Date(now).toISOString(),
+      last_failed_at: new Date(now).toISOString(),
+      next_retry_at: dead ? null : new Date(now + this.backoffMinutes(attempts) * 60000).toISOString(),
+      resolved_at: null
+    };
+
+    const { data, error: upsertError } = await this.supabase
+      .from('sync_failures')
+      .upsert(row, { onConflict: 'notion_page_id' })
+      .select()
+      .single();
+
+    if (upsertError) throw upsertError;
+
+    if (dead) {
+      this.logger.warn('Page gave up after repeated sync failures', {
+        page_id: page.id,
+        source: sourceKey,
+        attempts,
+        error: error.message
+      });
+    }
+    return data;
+  }
+
+  async markResolved(pageId) {
+    const { error } = await this.supabase
+      .from('sync_failures')
+      .update({ status: 'resolved', resolved_at: new Date().toISOString(), next_retry_at: null })
+      .eq('notion_page_id', pageId)
+      .in('status', ['pending', 'dead']);
+
+    if (error) throw error;
+  }
+
+  async listFailures(status = 'pending') {
+    if (status !== 'all' && !FAILURE_STATUSES.includes(status)) {
+      throw new Error(`status must be one of: ${FAILURE_STATUSES.join(', ')}, all`);
+    }
+
+    let query = this.supabase
+      .from('sync_failures')
+      .select('*')
+      .order('last_failed_at', { ascending: false });
+
+    if (status !== 'all') query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+
+  // Failures to retry on demand (pending and dead, ignoring backoff), optionally one page
+  async retryCandidates(pageId = null) {
+    let query = this.supabase
+      .from('sync_failures')
+      .select('*')
+      .in('status', ['pending', 'dead'])
+      .order('last_failed_at', { ascending: true });
+
+    if (pageId) query = query.eq('notion_page_id', pageId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  }
+}
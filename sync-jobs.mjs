@@ -0,0 +1,286 @@
+// One sync at a time: SyncLock serializes runs in this process and takes a lease in Supabase
+// (sync_locks, see sql/create_sync_jobs.sql) so replicas do not sync side by side.
+// SyncJobQueue runs API-requested syncs in the background under that lock and keeps their
+// status and progress for polling.
+import { hostname } from 'os';
+import { randomUUID } from 'crypto';
+
+export const SYNC_JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'skipped'];
+
+// Lease functions missing (migration not applied): PGRST202 from PostgREST, 42883 from Postgres;
+// 42501 when the bridge runs with the anon key (they are granted to service_role only)
+const LEASE_UNAVAILABLE = ['PGRST202', '42883', '42501'];
+
+// Another replica holds the sync lease
+export class SyncBusyError extends Error {
+  constructor(holder, expiresAt) {
+    super(`Another replica is syncing (${holder})`);
+    this.name = 'SyncBusyError';
+    this.holder = holder;
+    this.expiresAt = expiresAt;
+  }
+}
+
+// Our lease ran out or went to another replica while a run was going (holder null when it
+// could not be renewed in time). A SyncBusyError too: another replica may be syncing now.
+export class SyncLeaseLostError extends SyncBusyError {
+  constructor(holder) {
+    super(holder);
+    this.name = 'SyncLeaseLostError';
+    this.message = holder ? `Sync lease lost to another replica (${holder})` : 'Sync lease expired before it could be renewed';
+  }
+}
+
+// Progress of a run, filled in by syncPages. pages_total grows as Notion returns batches, so it
+// is only final once phase is push_to_notion or done.
+export function newSyncProgress() {
+  return { phase: 'queued', sources_done: 0, sources_total: 0, pages_done: 0, pages_total: 0 };
+}
+
+export class SyncLock {
+  // leaseSeconds: how long the lease outlives a replica that died mid-run; renewed every third of it
+  constructor(logger, supabase, { name = 'sync', leaseSeconds = 300 } = {}) {
+    this.logger = logger;
+    this.supabase = supabase;
+    this.name = name;
+    this.leaseSeconds = leaseSeconds;
+    this.holder = `${hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.current = null;
+    this.label = null;
+    this.since = null;
+    // Cleared when the lease functions do not exist; the in-process lock still applies
+    this.leaseAvailable = true;
+    // While a run holds the lease: when it runs out at the latest, and who took it if it was lost
+    this.leaseExpiresAt = null;
+    this.lostTo = undefined;
+  }
+
+  // Throws SyncLeaseLostError when the current run no longer holds the lease. Long runs call
+  // this between batches and stop, so two replicas never keep writing the same pages.
+  checkLease() {
+    if (this.lostTo !== undefined) throw new SyncLeaseLostError(this.lostTo);
+    if (this.leaseExpiresAt && Date.now() >= this.leaseExpiresAt) throw new SyncLeaseLostError(null);
+  }
+
+  // What holds the lock in this process: { label, since }, or null
+  busy() {
+    return this.current ? { label: this.label, since: this.since } : null;
+  }
+
+  snapshot() {
+    return { holder: this.holder, busy: this.busy(), lease: this.leaseAvailable ? 'supabase' : 'in_process_only' };
+  }
+
+  // Run fn holding the lock: waits for a run already going in this process, then takes the
+  // lease. Throws SyncBusyError, without running fn, when another replica holds the lease.
+  async run(label, fn) {
+    // Waiters wake one by one; whoever gets here first with no current run takes the lock
+    while (this.current) await this.current;
+
+    let release;
+    this.current = new Promise(resolve => { release = resolve; });
+    this.label = label;
+    this.since = new Date().toISOString();
+
+    try {
+      const leased = await this.acquireLease();
+      const renewal = leased ? setInterval(() => this.renewLease(), this.leaseSeconds * 1000 / 3) : null;
+      try {
+        return await fn();
+      } finally {
+        if (renewal) {
+          clearInterval(renewal);
+          await this.releaseLease();
+        }
+      }
+    } finally {
+      this.current = null;
+      this.label = null;
+      this.since = null;
+      this.leaseExpiresAt = null;
+      this.lostTo = undefined;
+      release();
+    }
+  }
+
+  // true when the lease was taken, false when leases are unavailable
+  async acquireLease() {
+    if (!this.leaseAvailable) return false;
+
+    const requestedAt = Date.now();
+    const { data, error } = await this.supabase.rpc('acquire_sync_lock', {
+      p_name: this.name,
+      p_holder: this.holder,
+      p_ttl_seconds: this.leaseSeconds
+    });
+    if (LEASE_UNAVAILABLE.includes(error?.code)) {
+      this.leaseAvailable = false;
+      this.logger.warn('Sync lease unavailable (is sql/create_sync_jobs.sql applied and SUPABASE_SERVICE_ROLE set?); locking this process only', { error: error.message, code: error.code });
+      return false;
+    }
+    if (error) throw error;
+    if (!data.acquired) throw new SyncBusyError(data.holder, data.expires_at);
+    // Counted from before the call, so never later than the expiry Postgres stored
+    this.leaseExpiresAt = requestedAt + this.leaseSeconds * 1000;
+    return true;
+  }
+
+  // Called while running. Once the lease is lost it is not taken back: checkLease() stops the run.
+  async renewLease() {
+    if (this.lostTo !== undefined) return;
+    try {
+      const requestedAt = Date.now();
+      const { data, error } = await this.supabase.rpc('acquire_sync_lock', {
+        p_name: this.name,
+        p_holder: this.holder,
+        p_ttl_seconds: this.leaseSeconds
+      });
+      if (error) throw error;
+      if (!data.acquired) {
+        this.lostTo = data.holder;
+        this.logger.error('Sync lease lost to another replica; stopping the run', { holder: data.holder, label: this.label });
+        return;
+      }
+      this.leaseExpiresAt = requestedAt + this.leaseSeconds * 1000;
+    } catch (error) {
+      this.logger.warn('Could not renew sync lease', { error: error.message, label: this.label });
+    }
+  }
+
+  async releaseLease() {
+    try {
+      const { error } = await this.supabase.rpc('release_sync_lock', { p_name: this.name, p_holder: this.holder });
+      if (error) throw error;
+    } catch (error) {
+      // The lease expires by itself
+      this.logger.warn('Could not release sync lease', { error: error.message, expires_in_seconds: this.leaseSeconds });
+    }
+  }
+}
+
+export class SyncJobQueue {
+  // runSync(progress) runs one sync and returns its summary (syncPages' result). Jobs are kept
+  // in memory and written to sync_jobs so any replica can answer a status request.
+  constructor(logger, supabase, { lock, runSync, progressIntervalMs = 5000, retainJobs = 50 }) {
+    this.logger = logger;
+    this.supabase = supabase;
+    this.lock = lock;
+    this.runSync = runSync;
+    this.progressIntervalMs = progressIntervalMs;
+    this.retainJobs = retainJobs;
+    this.jobs = new Map();
+    this.queue = [];
+    this.draining = false;
+  }
+
+  // Queue a sync and start the worker. A job still waiting to start already covers the
+  // request, so it is returned instead of queueing a second one: { job, coalesced }.
+  async enqueue({ trigger = 'api', requestedBy = null } = {}) {
+    if (this.queue.length > 0) return { job: this.queue[0], coalesced: true };
+
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      trigger,
+      requested_by: requestedBy,
+      holder: null,
+      progress: newSyncProgress(),
+      summary: null,
+      error: null,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    await this.persist(job);
+
+    this.drain();
+    return { job, coalesced: false };
+  }
+
+  // A job from this process, or from sync_jobs when another replica ran it; null when unknown
+  async get(id) {
+    if (this.jobs.has(id)) return this.jobs.get(id);
+
+    const { data, error } = await this.supabase.from('sync_jobs').select('*').eq('id', id).maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  drain() {
+    if (this.draining) return;
+    this.draining = true;
+    (async () => {
+      while (this.queue.length > 0) {
+        await this.runJob(this.queue[0]);
+      }
+    })().finally(() => {
+      this.draining = false;
+    });
+  }
+
+  async runJob(job) {
+    try {
+      await this.lock.run(`job:${job.id}`, async () => {
+        this.queue.shift();
+        Object.assign(job, { status: 'running', holder: this.lock.holder, started_at: new Date().toISOString() });
+        job.progress.phase = 'starting';
+        await this.persist(job);
+
+        const progressTimer = setInterval(() => this.persist(job, { quiet: true }), this.progressIntervalMs);
+        try {
+          const summary = await this.runSync(job.progress);
+          // The stack of a failed run stays in the logs
+          const { error_stack, ...stored } = summary || {};
+          job.summary = summary ? stored : null;
+          if (summary?.result_status === 'error') {
+            Object.assign(job, { status: 'failed', error: summary.error_message });
+          } else if (summary?.stopped_by_circuit) {
+            Object.assign(job, { status: 'failed', error: `Stopped: ${summary.stopped_by_circuit} unavailable` });
+          } else if (summary?.lease_lost) {
+            Object.assign(job, { status: 'failed', error: `Stopped: ${summary.lease_lost}` });
+          } else {
+            job.status = 'succeeded';
+          }
+        } finally {
+          clearInterval(progressTimer);
+        }
+      });
+    } catch (error) {
+      if (this.queue[0] === job) this.queue.shift();
+      if (error instanceof SyncBusyError && !(error instanceof SyncLeaseLostError)) {
+        // The other replica's run picks up the same changes
+        Object.assign(job, { status: 'skipped', error: error.message });
+      } else {
+        this.logger.error('Sync job failed', { job_id: job.id, error: error.message });
+        Object.assign(job, { status: 'failed', error: error.message });
+      }
+    }
+
+    job.finished_at = new Date().toISOString();
+    this.logger.info('Sync job finished', { job_id: job.id, status: job.status, trigger: job.trigger, error: job.error });
+    await this.persist(job);
+    this.prune();
+  }
+
+  // Drop the oldest finished jobs from memory; sync_jobs keeps them
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.finished_at);
+    for (const job of finished.slice(0, Math.max(finished.length - this.retainJobs, 0))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  // Best effort: the in-memory job stays authoritative for this process
+  async persist(job, { quiet = false } = {}) {
+    try {
+      const { error } = await this.supabase
+        .from('sync_jobs')
+        .upsert({ ...job, updated_at: new Date().toISOString() }, { onConflict: 'id' });
+      if (error) throw error;
+    } catch (error) {
+      this.logger[quiet ? 'debug' : 'warn']('Could not store sync job', { job_id: job.id, status: job.status, error: error.message });
+    }
+  }
+}
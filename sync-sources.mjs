@@ -0,0 +1,69 @@
+// Sync sources: one entry per Notion capture database feeding the shared tasks table
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { PropertyMapping } from './property-mapping.mjs';
+
+// sync_state.source of the original single-database setup; kept so existing cursors carry over
+export const DEFAULT_SOURCE_KEY = 'notion_quick_capture';
+
+// Build one source: { key, name, databaseId, mappingPath, mapping, defaults }
+function buildSource(entry, baseDir, fallbackMappingPath) {
+  if (!entry.key) throw new Error('Sync sources: every source needs a "key" (used as sync_state.source)');
+  if (!entry.databaseId) throw new Error(`Sync sources: source "${entry.key}" needs a "databaseId"`);
+
+  const mappingPath = entry.mapping ? resolve(baseDir, entry.mapping) : fallbackMappingPath;
+  let mapping;
+  try {
+    mapping = PropertyMapping.load(mappingPath);
+  } catch (error) {
+    throw new Error(`Sync sources: source "${entry.key}": ${error.message}`);
+  }
+
+  return {
+    key: entry.key,
+    name: entry.name || entry.key,
+    databaseId: entry.databaseId,
+    mappingPath,
+    mapping,
+    // Applied when a page leaves Domain/Venture empty (lowercased like extracted values)
+    defaults: {
+      domain: entry.defaults?.domain?.toLowerCase() || null,
+      venture: entry.defaults?.venture?.toLowerCase() || null
+    }
+  };
+}
+
+// Load sources from a JSON file ({ "sources": [ ... ] }); without one, fall back to the
+// single database from NOTION_DATABASE_ID under the legacy source key. A configured file that
+// cannot be read is an error, not a reason to sync only NOTION_DATABASE_ID.
+export function loadSources({ sourcesPath, databaseId, mappingPath }) {
+  if (!sourcesPath) {
+    if (!databaseId) return [];
+    return [buildSource({ key: DEFAULT_SOURCE_KEY, name: 'Quick Capture', databaseId }, process.cwd(), mappingPath)];
+  }
+
+  let text;
+  try {
+    text = readFileSync(sourcesPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Sync sources: could not read ${sourcesPath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Sync sources: could not parse ${sourcesPath}: ${error.message}`);
+  }
+
+  const baseDir = dirname(resolve(sourcesPath));
+  const sources = (parsed.sources || []).map(entry => buildSource(entry, baseDir, mappingPath));
+
+  const keys = new Set();
+  for (const source of sources) {
+    if (keys.has(source.key)) throw new Error(`Sync sources: duplicate source key "${source.key}"`);
+    keys.add(source.key);
+  }
+
+  return sources;
+}
@@ -0,0 +1,225 @@
+// Request handling for /api/tasks: list query parsing and the write path, which resolves ventures
+// and normalizes status, priority and focus slot with the same reference data as the Notion sync
+// before create_or_update_task is called. Unlike a Notion page, an API caller gets unrecognised
+// values back as errors instead of fallbacks.
+import { VentureResolver } from './venture-resolver.mjs';
+
+// Columns list and get return, with the names the RPC takes for the related rows
+export const TASK_SELECT = '*, venture:ventures(slug, name), domain:domains(slug, name), project:projects(name), milestone:milestones(name)';
+
+export const TASK_SORT_FIELDS = ['created_at', 'updated_at', 'due_date', 'focus_date', 'priority', 'status', 'title'];
+
+// Fields a create or update may set
+const WRITABLE_FIELDS = [
+  'title', 'venture', 'domain', 'project', 'milestone', 'priority', 'status',
+  'due_date', 'assignee', 'focus_slot', 'focus_date', 'tags'
+];
+
+const MAX_LIMIT = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// A request the management API rejects: status is the HTTP status (400, or 409 for conflicts)
+export class ApiInputError extends Error {
+  // issues: [{ code, field, value, message }] as in page validation
+  constructor(message, issues = [], status = 400) {
+    super(message);
+    this.name = 'ApiInputError';
+    this.issues = issues;
+    this.status = status;
+  }
+}
+
+export const isUuid = (value) => UUID_PATTERN.test(String(value || ''));
+
+export function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// "a, b" → ['a', 'b']
+const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+export class TaskApi {
+  // ventureResolver and normalizer are the bridge's; both read the reference cache in memory,
+  // so callers await referenceCache.get() first
+  constructor(logger, { ventureResolver, normalizer, referenceCache }) {
+    this.logger = logger;
+    this.ventureResolver = ventureResolver;
+    this.normalizer = normalizer;
+    this.referenceCache = referenceCache;
+  }
+
+  // Canonical value of a status/priority/focus_slot input, or an issue when no rule matches
+  canonical(kind, field, value, issues) {
+    const { value: canonical, fallback } = this.normalizer.normalize(kind, value);
+    if (fallback) {
+      issues.push({ code: `unknown_${kind}`, field, value, message: `${field} "${value}" is not a recognised ${kind.replace('_', ' ')}` });
+      return null;
+    }
+    return canonical;
+  }
+
+  // ?venture=&domain=&project=&status=&priority=&focus_slot=&focus_date_from=&focus_date_to=
+  //  &include_archived=true&sort=-focus_date,priority&limit=50&offset=0
+  // venture and domain take a slug, name or id; project an id or a name; status, priority and
+  // focus_slot a comma separated list. Returns { filters, sort, limit, offset }.
+  parseListQuery(searchParams) {
+    const issues = [];
+    const data = this.referenceCache.current();
+    const filters = { includeArchived: searchParams.get('include_archived') === 'true' };
+
+    const venture = searchParams.get('venture');
+    if (venture) {
+      const ventures = isUuid(venture)
+        ? data.ventures.filter(row => row.id === venture)
+        : VentureResolver.candidates(venture, { ventures: data.ventures, aliases: this.ventureResolver.aliasRows(data) });
+      if (ventures.length === 0) issues.push({ code: 'unknown_venture', field: 'venture', value: venture, message: `Venture "${venture}" not found` });
+      filters.ventureIds = ventures.map(row => row.id);
+    }
+
+    const domain = searchParams.get('domain');
+    if (domain) {
+      const found = isUuid(domain)
+        ? data.domains.find(row => row.id === domain)
+        : VentureResolver.findDomain(domain, data.domains);
+      if (!found) issues.push({ code: 'unknown_domain', field: 'domain', value: domain, message: `Domain "${domain}" not found` });
+      filters.domainId = found?.id;
+    }
+
+    const project = searchParams.get('project');
+    if (project) filters[isUuid(project) ? 'projectId' : 'projectName'] = project;
+
+    for (const [kind, param] of [['status', 'status'], ['priority', 'priority'], ['focus_slot', 'focus_slot']]) {
+      if (!searchParams.get(param)) continue;
+      filters[param] = list(searchParams.get(param)).map(value => this.canonical(kind, param, value, issues)).filter(Boolean);
+    }
+
+    for (const param of ['focus_date_from', 'focus_date_to']) {
+      const value = searchParams.get(param);
+      if (!value) continue;
+      if (!isDate(value)) issues.push({ code: 'invalid_date', field: param, value, message: `${param} must be YYYY-MM-DD` });
+      filters[param] = value;
+    }
+
+    const sort = list(searchParams.get('sort') || '-updated_at').map(item => {
+      const field = item.replace(/^-/, '');
+      if (!TASK_SORT_FIELDS.includes(field)) {
+        issues.push({ code: 'invalid_sort', field: 'sort', value: item, message: `Cannot sort by "${field}" (allowed: ${TASK_SORT_FIELDS.join(', ')})` });
+      }
+      return { field, ascending: !item.startsWith('-') };
+    });
+
+    const limit = parseInt(searchParams.get('limit') || '50', 10);
+    const offset = parseInt(searchParams.get('offset') || '0', 10);
+    if (!(limit >= 1 && limit <= MAX_LIMIT)) issues.push({ code: 'invalid_limit', field: 'limit', value: searchParams.get('limit'), message: `limit must be 1-${MAX_LIMIT}` });
+    if (!(offset >= 0)) issues.push({ code: 'invalid_offset', field: 'offset', value: searchParams.get('offset'), message: 'offset must be 0 or more' });
+
+    if (issues.length > 0) throw new ApiInputError('Invalid task query', issues);
+    return { filters, sort, limit, offset };
+  }
+
+  // Apply parsed filters and sort to a Supabase tasks query
+  static applyListQuery(query, { filters, sort }) {
+    if (!filters.includeArchived) query = query.is('archived_at', null);
+    if (filters.ventureIds) query = query.in('venture_id', filters.ventureIds);
+    if (filters.domainId) query = query.eq('domain_id', filters.domainId);
+    if (filters.projectId) query = query.eq('project_id', filters.projectId);
+    if (filters.projectIds) query = query.in('project_id', filters.projectIds);
+    if (filters.status) query = query.in('status', filters.status);
+    if (filters.priority) query = query.in('priority', filters.priority);
+    if (filters.focus_slot) query = query.in('focus_slot', filters.focus_slot);
+    if (filters.focus_date_from) query = query.gte('focus_date', filters.focus_date_from);
+    if (filters.focus_date_to) query = query.lte('focus_date', filters.focus_date_to);
+    for (const { field, ascending } of sort) {
+      query = query.order(field, { ascending, nullsFirst: false });
+    }
+    return query.order('id', { ascending: true });
+  }
+
+  // Writable fields of a tasks row (selected with TASK_SELECT), as API input
+  static fromRow(row) {
+    return {
+      title: row.title,
+      venture: row.venture?.slug || null,
+      project: row.project?.name || null,
+      milestone: row.milestone?.name || null,
+      priority: row.priority,
+      status: row.status,
+      due_date: row.due_date,
+      assignee: row.assignee,
+      focus_slot: row.focus_slot,
+      focus_date: row.focus_date
+    };
+  }
+
+  // Bridge props for createTaskInSupabase from a create body, or from an update body merged over
+  // the current row. Changing the venture without naming a project drops project and milestone
+  // (they belong to the old venture); changing the project drops the milestone likewise.
+  // domain is only checked against the venture; the RPC takes the domain from the venture.
+  toProps(input, current = null) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new ApiInputError('Body must be a JSON object');
+    }
+    if (current && Object.keys(input).length === 0) {
+      throw new ApiInputError('No fields to update');
+    }
+
+    const issues = [];
+    for (const field of Object.keys(input)) {
+      if (!WRITABLE_FIELDS.includes(field)) {
+        issues.push({ code: 'unknown_field', field, value: input[field], message: `"${field}" cannot be set (allowed: ${WRITABLE_FIELDS.join(', ')})` });
+      }
+    }
+
+    const merged = { ...(current ? TaskApi.fromRow(current) : {}) };
+    for (const field of WRITABLE_FIELDS) {
+      if (field in input) merged[field] = input[field];
+    }
+
+    const title = typeof merged.title === 'string' ? merged.title.trim() : '';
+    if (!title) issues.push({ code: 'missing_field', field: 'title', value: merged.title ?? null, message: 'title is required' });
+
+    let venture = null;
+    if (!merged.venture) {
+      issues.push({ code: 'missing_field', field: 'venture', value: null, message: 'venture is required' });
+    } else {
+      const resolved = this.ventureResolver.resolve(merged.venture, merged.domain || null);
+      venture = resolved.venture;
+      if (resolved.issue) issues.push(resolved.issue);
+    }
+
+    if (current && venture && venture.id !== current.venture_id && !('project' in input)) merged.project = null;
+    if (current && merged.project !== (current.project?.name || null) && !('milestone' in input)) merged.milestone = null;
+
+    const priority = this.canonical('priority', 'priority', merged.priority || 'P2', issues);
+    const status = this.canonical('status', 'status', merged.status || 'To Do', issues);
+    const focusSlot = merged.focus_slot ? this.canonical('focus_slot', 'focus_slot', merged.focus_slot, issues) : null;
+
+    for (const field of ['due_date', 'focus_date']) {
+      if (merged[field] && !isDate(merged[field])) {
+        issues.push({ code: 'invalid_date', field, value: merged[field], message: `${field} must be YYYY-MM-DD` });
+      }
+    }
+
+    if ('tags' in input && input.tags !== null && !(Array.isArray(input.tags) && input.tags.every(tag => typeof tag === 'string'))) {
+      issues.push({ code: 'invalid_tags', field: 'tags', value: input.tags, message: 'tags must be a list of strings' });
+    }
+
+    if (issues.length > 0) throw new ApiInputError('Invalid task', issues);
+
+    return {
+      title,
+      venture: venture.slug,
+      area: venture.slug,
+      project: merged.project || null,
+      milestone: merged.milestone || null,
+      priority,
+      status,
+      dueDate: merged.due_date || null,
+      assignee: merged.assignee || null,
+      focusSlot,
+      focusDate: merged.focus_date || null,
+      // Tags are only replaced when the body names them
+      tags: 'tags' in input ? (input.tags || []) : undefined
+    };
+  }
+}
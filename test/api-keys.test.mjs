@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiKeyStore, generateApiKey, hashApiKey } from '../api-keys.mjs';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Supabase stub: api_keys holds the given rows; counts lookups
+function fakeSupabase(rows = []) {
+  const calls = { lookups: 0 };
+  const supabase = {
+    from: () => ({
+      select: () => ({
+        eq: (column, value) => ({
+          maybeSingle: async () => {
+            calls.lookups++;
+            return { data: rows.find(row => row.key_hash === value) || null, error: null };
+          }
+        })
+      }),
+      update: () => ({ eq: async () => ({ error: null }) })
+    })
+  };
+  return { supabase, calls };
+}
+
+test('unknown keys are not cached', async () => {
+  const { supabase, calls } = fakeSupabase();
+  const store = new ApiKeyStore(logger, supabase);
+
+  for (let i = 0; i < 500; i++) {
+    assert.equal(await store.verify(generateApiKey()), null);
+  }
+
+  assert.equal(store.cache.size, 0);
+  assert.equal(calls.lookups, 500);
+});
+
+test('a known key is cached and reused', async () => {
+  const key = generateApiKey();
+  const row = { id: 'k1', name: 'ops', key_prefix: key.slice(0, 8), key_hash: hashApiKey(key), scopes: ['read'], expires_at: null, revoked_at: null };
+  const { supabase, calls } = fakeSupabase([row]);
+  const store = new ApiKeyStore(logger, supabase);
+
+  assert.equal((await store.verify(key)).id, 'k1');
+  assert.equal((await store.verify(key)).id, 'k1');
+
+  assert.equal(store.cache.size, 1);
+  assert.equal(calls.lookups, 1);
+});
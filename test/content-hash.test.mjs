@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { contentHash, hashVersion, v1Normalize } from '../content-hash.mjs';
+
+test('v1 normalization keeps values the built-in rules do not know', () => {
+  assert.equal(v1Normalize.focus_slot('🎯 deep work block 1'), 'Deep Work Block 1');
+  assert.equal(v1Normalize.focus_slot('🧹 Errands '), 'Errands');
+  assert.equal(v1Normalize.status('🚀 Shipping'), 'To Do');
+  assert.equal(v1Normalize.status('Blocked'), 'To Do');
+  assert.equal(v1Normalize.priority('🔥 High'), 'P1');
+  assert.equal(v1Normalize.priority(null), '');
+});
+
+test('stored hashes are checked with their own version', () => {
+  const values = { title: 'Plan', status: 'To Do', focusSlot: 'Errands' };
+  const v1 = contentHash(values, 1);
+  const v2 = contentHash(values, 2);
+
+  assert.equal(hashVersion(v1.hash), 1);
+  assert.equal(v1.fieldHashes, null);
+  assert.equal(hashVersion(v2.hash), 2);
+  assert.deepEqual(Object.keys(v2.fieldHashes), ['focusSlot', 'status', 'title']);
+});
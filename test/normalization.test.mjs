@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRules, Normalizer } from '../normalization.mjs';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const SLOTS = ['Deep Work Block 1', 'Deep Work Block 2', 'Admin'];
+
+const RULES = [
+  { kind: 'status', match_type: 'exact', pattern: 'todo', value: 'To Do', position: 10 },
+  { kind: 'status', match_type: 'contains', pattern: 'progress', value: 'In Progress', position: 20 },
+  { kind: 'status', match_type: 'contains', pattern: 'done', value: 'Done', position: 30 },
+  { kind: 'priority', match_type: 'exact', pattern: 'high', value: 'P1', position: 10 },
+  { kind: 'focus_slot', match_type: 'exact', pattern: 'dw1', value: 'Deep Work Block 1', position: 10 }
+];
+
+// ReferenceCache stub holding fixed rules and focus slots
+function fakeReferenceCache(valueAliases = RULES, focusSlots = SLOTS) {
+  const data = { valueAliases, focusSlots };
+  return { current: () => data };
+}
+
+function newNormalizer(recorded = []) {
+  return new Normalizer(logger, fakeReferenceCache(), { recordUnknown: async (entry) => { recorded.push(entry); } });
+}
+
+test('exact rules match the whole value, ignoring case and surrounding spaces', () => {
+  assert.equal(applyRules(RULES, '  TODO '), 'To Do');
+  assert.equal(applyRules(RULES, 'todo later'), null);
+});
+
+test('contains rules match anywhere in the value', () => {
+  assert.equal(applyRules(RULES, 'Work In Progress'), 'In Progress');
+  assert.equal(applyRules(RULES, 'all DONE'), 'Done');
+});
+
+test('exact rules win over contains rules', () => {
+  const rules = [
+    { match_type: 'contains', pattern: 'todo', value: 'Blocked', position: 1 },
+    { match_type: 'exact', pattern: 'todo', value: 'To Do', position: 50 }
+  ];
+  assert.equal(applyRules(rules, 'todo'), 'To Do');
+  assert.equal(applyRules(rules, 'todo soon'), 'Blocked');
+});
+
+test('rules of the same type apply in position order', () => {
+  const rules = [
+    { match_type: 'contains', pattern: 'done', value: 'Done', position: 20 },
+    { match_type: 'contains', pattern: 'not', value: 'To Do', position: 10 },
+    { match_type: 'contains', pattern: 'x', value: 'Cancelled' }
+  ];
+  assert.equal(applyRules(rules, 'not done'), 'To Do');
+  // No position sorts as 100, after the others
+  assert.equal(applyRules(rules, 'done x'), 'Done');
+});
+
+test('focus slots match exactly after leading symbols are stripped', () => {
+  assert.equal(applyRules([], '🎯 deep work block 2', SLOTS), 'Deep Work Block 2');
+  assert.equal(applyRules([], 'Admin', SLOTS), 'Admin');
+});
+
+test('focus slots match partially when no rule matches', () => {
+  assert.equal(applyRules([], 'admin time', SLOTS), 'Admin');
+  // Several slots contain the value: the first in name order
+  assert.equal(applyRules([], 'Deep Work', SLOTS), 'Deep Work Block 1');
+  assert.equal(applyRules([], 'Errands', SLOTS), null);
+});
+
+test('normalize falls back when nothing matches and leaves empty values null', () => {
+  const normalizer = newNormalizer();
+
+  assert.deepEqual(normalizer.normalize('status', 'In review'), { value: 'To Do', fallback: true });
+  assert.deepEqual(normalizer.normalize('priority', 'urgent'), { value: 'P2', fallback: true });
+  assert.deepEqual(normalizer.normalize('focus_slot', 'Errands'), { value: null, fallback: true });
+  assert.deepEqual(normalizer.normalize('priority', 'High'), { value: 'P1', fallback: false });
+  assert.deepEqual(normalizer.normalize('focus_slot', 'dw1'), { value: 'Deep Work Block 1', fallback: false });
+  assert.deepEqual(normalizer.normalize('status', '  '), { value: null, fallback: false });
+});
+
+test('resolve counts unknown values per kind, value and source for the report', async () => {
+  const recorded = [];
+  const normalizer = newNormalizer(recorded);
+
+  normalizer.resolve('status', 'In review', { source: 'tasks', ref: 'page-1' });
+  normalizer.resolve('status', ' In review ', { source: 'tasks', ref: 'page-2' });
+  normalizer.resolve('status', 'In review', { source: 'ideas', ref: 'page-3' });
+  normalizer.resolve('priority', 'urgent', { source: 'tasks', ref: 'page-4' });
+  normalizer.resolve('status', 'todo', { source: 'tasks', ref: 'page-5' });
+
+  assert.deepEqual(normalizer.unknownReport(), [
+    { kind: 'status', value: 'In review', source: 'tasks', count: 2, example_ref: 'page-1' },
+    { kind: 'status', value: 'In review', source: 'ideas', count: 1, example_ref: 'page-3' },
+    { kind: 'priority', value: 'urgent', source: 'tasks', count: 1, example_ref: 'page-4' }
+  ]);
+
+  const flushed = await normalizer.flushUnknown();
+  assert.equal(flushed.length, 3);
+  assert.deepEqual(recorded, flushed);
+  assert.deepEqual(normalizer.unknownReport(), []);
+});
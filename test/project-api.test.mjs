@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProjectApi } from '../project-api.mjs';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+const PROJECT_ID = '11111111-1111-4111-8111-111111111111';
+const MILESTONE_ID = '22222222-2222-4222-8222-222222222222';
+
+// Supabase stub: every query builder method chains, awaiting a query gives { data: [] }, and
+// single()/maybeSingle() answer from `rows` by table. Inserts are recorded.
+function fakeSupabase(rows) {
+  const inserts = [];
+  const builder = (table) => {
+    const query = {
+      then: (resolve) => resolve({ data: [], error: null }),
+      maybeSingle: async () => ({ data: rows[table] || null, error: null }),
+      single: async () => ({ data: rows[table] || null, error: null }),
+      insert: (row) => {
+        inserts.push({ table, row });
+        return query;
+      }
+    };
+    for (const method of ['select', 'eq', 'neq', 'is', 'in', 'ilike', 'limit', 'order']) {
+      query[method] = () => query;
+    }
+    return query;
+  };
+  return { supabase: { from: builder }, inserts };
+}
+
+test('createMilestone stores the milestone under its project', async () => {
+  const { supabase, inserts } = fakeSupabase({
+    projects: { id: PROJECT_ID, archived_at: null },
+    milestones: { id: MILESTONE_ID, project_id: PROJECT_ID, name: 'M1' }
+  });
+  const api = new ProjectApi(logger, supabase, { ventureResolver: null, normalizer: null, referenceCache: null });
+
+  await api.createMilestone({ project_id: PROJECT_ID, name: 'M1' });
+
+  assert.deepEqual(inserts, [
+    { table: 'milestones', row: { status: 'planned', priority: 'P2', name: 'M1', project_id: PROJECT_ID } }
+  ]);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncLock, SyncJobQueue, SyncBusyError, SyncLeaseLostError } from '../sync-jobs.mjs';
+
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+// Supabase stub with one lease row; lease.holder can be changed to play another replica
+function fakeSupabase(lease = { holder: null }) {
+  return {
+    lease,
+    rpc: async (name, args) => {
+      if (name === 'acquire_sync_lock') {
+        if (!lease.holder || lease.holder === args.p_holder) lease.holder = args.p_holder;
+        return { data: { acquired: lease.holder === args.p_holder, holder: lease.holder, expires_at: null }, error: null };
+      }
+      if (lease.holder === args.p_holder) lease.holder = null;
+      return { data: true, error: null };
+    },
+    from: () => ({ upsert: async () => ({ error: null }) })
+  };
+}
+
+test('a run does not start while another replica holds the lease', async () => {
+  const supabase = fakeSupabase({ holder: 'other' });
+  const lock = new SyncLock(logger, supabase);
+  let ran = false;
+
+  await assert.rejects(lock.run('test', async () => { ran = true; }), SyncBusyError);
+  assert.equal(ran, false);
+});
+
+test('checkLease stops a run once the lease went to another replica', async () => {
+  const supabase = fakeSupabase();
+  const lock = new SyncLock(logger, supabase);
+
+  await assert.rejects(lock.run('test', async () => {
+    lock.checkLease();
+    supabase.lease.holder = 'other';
+    await lock.renewLease();
+    lock.checkLease();
+  }), SyncLeaseLostError);
+
+  // The next run starts clean and is refused while the other replica holds the lease
+  await assert.rejects(lock.run('test', async () => {}), (error) => !(error instanceof SyncLeaseLostError) && error instanceof SyncBusyError);
+});
+
+test('checkLease stops a run whose lease expired without renewal', async () => {
+  const lock = new SyncLock(logger, fakeSupabase(), { leaseSeconds: 30 });
+
+  await assert.rejects(lock.run('test', async () => {
+    lock.leaseExpiresAt = Date.now() - 1;
+    lock.checkLease();
+  }), SyncLeaseLostError);
+});
+
+test('a job that loses the lease mid-run is marked failed', async () => {
+  const supabase = fakeSupabase();
+  const lock = new SyncLock(logger, supabase);
+  const runSync = async () => {
+    supabase.lease.holder = 'other';
+    await lock.renewLease();
+    try {
+      lock.checkLease();
+      return { result_status: 'success' };
+    } catch (error) {
+      // syncPages reports a lost lease in its summary
+      return { result_status: 'success', lease_lost: error.message };
+    }
+  };
+  const queue = new SyncJobQueue(logger, supabase, { lock, runSync });
+
+  const { job } = await queue.enqueue();
+  while (!job.finished_at) await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.equal(job.status, 'failed');
+  assert.match(job.error, /lease lost/);
+});
@@ -0,0 +1,137 @@
+// Resolves Notion Venture / Domain select values to ventures rows before the RPC is called.
+// Match order: slug, name, slugified name, then venture_aliases. The first step that finds
+// anything decides; several ventures there is an ambiguous match, which the Domain may settle.
+
+// "AMO Syndicate" → "amo-syndicate", "🏠 Aivant Realty" → "aivant-realty"
+export function slugify(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+export class VentureResolver {
+  // referenceCache is the bridge's ReferenceCache; resolve() reads its ventures, domains
+  // and ventureAliases ([{ alias, venture_id }]) in memory
+  constructor(logger, referenceCache) {
+    this.logger = logger;
+    this.referenceCache = referenceCache;
+    this.indexedData = null;
+    this.aliases = [];
+  }
+
+  // Alias rows joined to their ventures, rebuilt whenever the cache reloads
+  aliasRows(data) {
+    if (this.indexedData !== data) {
+      const byId = new Map(data.ventures.map(venture => [venture.id, venture]));
+      this.aliases = data.ventureAliases
+        .filter(row => byId.has(row.venture_id))
+        .map(row => ({ alias: lower(row.alias), slug: slugify(row.alias), venture: byId.get(row.venture_id) }));
+      this.indexedData = data;
+    }
+    return this.aliases;
+  }
+
+  // Candidate ventures for a select value, from the first match step that finds any
+  static candidates(value, { ventures, aliases }) {
+    const key = lower(value);
+    const slug = slugify(value);
+    const steps = [
+      () => ventures.filter(venture => lower(venture.slug) === key),
+      () => ventures.filter(venture => lower(venture.name) === key),
+      () => ventures.filter(venture => slugify(venture.name) === slug || lower(venture.slug) === slug),
+      () => aliases.filter(row => row.alias === key || row.slug === slug).map(row => row.venture)
+    ];
+
+    if (!slug && !key) return [];
+    for (const step of steps) {
+      const found = [...new Map(step().map(venture => [venture.id, venture])).values()];
+      if (found.length > 0) return found;
+    }
+    return [];
+  }
+
+  static findDomain(value, domains) {
+    const key = lower(value);
+    const slug = slugify(value);
+    return domains.find(domain => lower(domain.slug) === key || lower(domain.name) === key)
+      || domains.find(domain => slugify(domain.slug) === slug || slugify(domain.name) === slug)
+      || null;
+  }
+
+  // Returns { venture, issue }: venture is the matched ventures row (null when unresolved);
+  // issue is a blocking validation issue (unknown_venture, ambiguous_venture, unknown_domain,
+  // venture_domain_mismatch) or null
+  resolve(ventureValue, domainValue) {
+    const data = this.referenceCache.current();
+    let matches = VentureResolver.candidates(ventureValue, { ventures: data.ventures, aliases: this.aliasRows(data) });
+    const domain = domainValue ? VentureResolver.findDomain(domainValue, data.domains) : null;
+
+    if (domainValue && !domain) {
+      return {
+        venture: null,
+        issue: {
+          code: 'unknown_domain',
+          field: 'domain',
+          value: domainValue,
+          blocking: true,
+          message: `Domain "${domainValue}" does not match any domain slug or name`
+        }
+      };
+    }
+
+    if (matches.length === 0) {
+      return {
+        venture: null,
+        issue: {
+          code: 'unknown_venture',
+          field: 'venture',
+          value: ventureValue,
+          blocking: true,
+          message: `Venture "${ventureValue}" does not match any venture slug, name or alias`
+        }
+      };
+    }
+
+    // The Domain narrows an ambiguous match down to the ventures that belong to it
+    if (matches.length > 1 && domain) {
+      const inDomain = matches.filter(venture => venture.primary_domain_id === domain.id);
+      if (inDomain.length > 0) matches = inDomain;
+    }
+
+    if (matches.length > 1) {
+      const slugs = matches.map(venture => venture.slug);
+      this.logger.warn('Ambiguous venture match', { venture: ventureValue, domain: domainValue, matches: slugs });
+      return {
+        venture: null,
+        issue: {
+          code: 'ambiguous_venture',
+          field: 'venture',
+          value: ventureValue,
+          blocking: true,
+          message: `Venture "${ventureValue}" matches several ventures: ${slugs.join(', ')}`
+        }
+      };
+    }
+
+    const [venture] = matches;
+    if (domain && venture.primary_domain_id && venture.primary_domain_id !== domain.id) {
+      const ventureDomain = data.domains.find(d => d.id === venture.primary_domain_id);
+      return {
+        venture,
+        issue: {
+          code: 'venture_domain_mismatch',
+          field: 'domain',
+          value: domainValue,
+          blocking: true,
+          message: `Venture "${venture.name || venture.slug}" belongs to domain "${ventureDomain?.name || ventureDomain?.slug || 'unknown'}", not "${domainValue}"`
+        }
+      };
+    }
+
+    return { venture, issue: null };
+  }
+}
@@ -0,0 +1,24 @@
+// Bounded worker pool: run an async function over a list with at most `concurrency` in flight.
+// Results come back in input order whatever order the work finishes in. If a worker throws,
+// no new items are started; in-flight ones finish and the first error is rethrown.
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const size = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: size }, runWorker));
+  if (failure) throw failure;
+  return results;
+}